@@ -3,42 +3,105 @@
 /**
  * GitHub Action Entrypoint for PR Standards Checker
  *
- * This script is called by GitHub Actions and uses inputs from action.yml
+ * This script is called by GitHub Actions and uses inputs from action.yml.
+ * On pull_request events it reviews the PR; on issue_comment events it runs the
+ * `/standards` command in the comment (see ./commands).
  */
 
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { COMMAND_PREFIX, COMMANDS, parseCommand, roleAllows, formatCommandHelp } = require('./commands');
+const { createGitHubClient } = require('./github-client');
 
 // Get action inputs
 const GITHUB_TOKEN = core.getInput('github-token', { required: true });
-const PR_NUMBER = core.getInput('pr-number', { required: true });
+// Comment events carry the PR as the issue the comment was made on
+const PR_NUMBER = core.getInput('pr-number') ||
+  String(github.context.payload.pull_request?.number || github.context.payload.issue?.number || '');
 const REPO = core.getInput('repository', { required: true });
-const AWS_ACCESS_KEY = core.getInput('bedrock-aws-access-key-id', { required: true });
-const AWS_SECRET_KEY = core.getInput('bedrock-aws-secret-access-key', { required: true });
+const PROVIDER = core.getInput('provider') || 'bedrock';
+const AWS_ACCESS_KEY = core.getInput('bedrock-aws-access-key-id');
+const AWS_SECRET_KEY = core.getInput('bedrock-aws-secret-access-key');
 const AWS_REGION = core.getInput('bedrock-region') || 'us-east-1';
-const MODEL_ID = core.getInput('model-id') || 'arn:aws:bedrock:us-east-1:257394448189:inference-profile/us.anthropic.claude-opus-4-6-v1';
+const API_KEY = core.getInput('api-key');
+const API_BASE_URL = core.getInput('api-base-url');
+const MODEL_ID = core.getInput('model-id');
+const FALLBACK_MODEL_IDS = core.getInput('fallback-model-ids');
+const MODEL_MAX_RETRIES = parseInt(core.getInput('model-max-retries') || '3', 10);
+const MODEL_TIMEOUT_SECONDS = parseInt(core.getInput('model-timeout-seconds') || '600', 10);
 const STANDARDS_FILE = core.getInput('standards-file') || '';
+const STANDARDS_MAP_FILE = core.getInput('standards-map-file') || '';
 const IGNORE_CONFIG_FILE = core.getInput('ignore-config-file') || '';
+const LANGUAGES_FILE = core.getInput('languages-file') || '';
+const CONTEXT_RULES_FILE = core.getInput('context-rules-file') || '';
+const BASELINE_FILE = core.getInput('baseline-file') || '';
 const FAIL_ON_ISSUES = core.getInput('fail-on-issues') === 'true';
 const FAILURE_MODE = core.getInput('failure-mode') || 'fail';
 const NONCOMPLIANT_LABEL = core.getInput('noncompliant-label') || 'Noncompliant';
+const GITHUB_API_URL = core.getInput('github-api-url');
 const MAX_TOKENS = parseInt(core.getInput('max-tokens') || '16000', 10);
+const CHUNK_BUDGET_CHARS = parseInt(core.getInput('chunk-budget-chars') || '150000', 10);
+const CHUNK_CONCURRENCY = parseInt(core.getInput('chunk-concurrency') || '3', 10);
+const INCREMENTAL_REVIEW = core.getInput('incremental-review') !== 'false';
+const CHECK_RUN = core.getInput('check-run') === 'true';
+const REVIEW_EVENT = core.getInput('review-event') || 'comment';
+const APPROVE_WHEN_CLEAN = core.getInput('approve-when-clean') === 'true';
+const CHECK_RUN_NAME = core.getInput('check-run-name') || 'PR Standards Check';
+const BOT_LOGIN = core.getInput('bot-login') || 'github-actions';
+const PROMPT_TOKEN_BUDGET = parseInt(core.getInput('prompt-token-budget') || '100000', 10);
+const MODEL_PRICES = core.getInput('model-prices');
+const SARIF_FILE = core.getInput('sarif-file')
+  ? path.resolve(process.env.GITHUB_WORKSPACE || '.', core.getInput('sarif-file'))
+  : path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'pr-standards.sarif');
+const RESULT_FILE = core.getInput('result-file')
+  ? path.resolve(process.env.GITHUB_WORKSPACE || '.', core.getInput('result-file'))
+  : path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'pr-standards-result.json');
 
 // Set environment variables for the checker script
 process.env.GITHUB_TOKEN = GITHUB_TOKEN;
 process.env.PR_NUMBER = PR_NUMBER;
 process.env.GITHUB_REPOSITORY = REPO;
-process.env.BEDROCK_AWS_ACCESS_KEY_ID = AWS_ACCESS_KEY;
-process.env.BEDROCK_AWS_SECRET_ACCESS_KEY = AWS_SECRET_KEY;
+if (GITHUB_API_URL) {
+  process.env.GITHUB_API_URL = GITHUB_API_URL;
+}
+process.env.PROVIDER = PROVIDER;
 process.env.BEDROCK_REGION = AWS_REGION;
 process.env.MODEL_ID = MODEL_ID;
+process.env.FALLBACK_MODEL_IDS = FALLBACK_MODEL_IDS;
+process.env.MODEL_MAX_RETRIES = MODEL_MAX_RETRIES.toString();
+process.env.MODEL_TIMEOUT_SECONDS = MODEL_TIMEOUT_SECONDS.toString();
 process.env.MAX_TOKENS = MAX_TOKENS.toString();
+process.env.CHUNK_BUDGET_CHARS = CHUNK_BUDGET_CHARS.toString();
+process.env.CHUNK_CONCURRENCY = CHUNK_CONCURRENCY.toString();
+process.env.INCREMENTAL_REVIEW = INCREMENTAL_REVIEW.toString();
+process.env.CHECK_RUN = CHECK_RUN.toString();
+process.env.REVIEW_EVENT = REVIEW_EVENT;
+process.env.APPROVE_WHEN_CLEAN = APPROVE_WHEN_CLEAN.toString();
+process.env.CHECK_RUN_NAME = CHECK_RUN_NAME;
+process.env.BOT_LOGIN = BOT_LOGIN;
+process.env.PROMPT_TOKEN_BUDGET = PROMPT_TOKEN_BUDGET.toString();
+process.env.MODEL_PRICES = MODEL_PRICES;
+process.env.SARIF_FILE = SARIF_FILE;
 process.env.FAILURE_MODE = FAILURE_MODE;
 process.env.NONCOMPLIANT_LABEL = NONCOMPLIANT_LABEL;
 
+// Provider credentials are optional here; the checker validates what the chosen provider needs
+if (AWS_ACCESS_KEY) {
+  core.setSecret(AWS_ACCESS_KEY);
+  process.env.BEDROCK_AWS_ACCESS_KEY_ID = AWS_ACCESS_KEY;
+  process.env.BEDROCK_AWS_SECRET_ACCESS_KEY = AWS_SECRET_KEY;
+}
+if (API_KEY) {
+  core.setSecret(API_KEY);
+  process.env.PROVIDER_API_KEY = API_KEY;
+}
+if (API_BASE_URL) {
+  process.env.PROVIDER_BASE_URL = API_BASE_URL;
+}
+
 // Set custom files if provided
 if (STANDARDS_FILE) {
   const customStandardsPath = path.join(process.env.GITHUB_WORKSPACE, STANDARDS_FILE);
@@ -50,6 +113,16 @@ if (STANDARDS_FILE) {
   }
 }
 
+if (STANDARDS_MAP_FILE) {
+  const customStandardsMapPath = path.join(process.env.GITHUB_WORKSPACE, STANDARDS_MAP_FILE);
+  if (fs.existsSync(customStandardsMapPath)) {
+    process.env.STANDARDS_MAP_FILE = customStandardsMapPath;
+    core.info(`Using standards map: ${STANDARDS_MAP_FILE}`);
+  } else {
+    core.warning(`Standards map not found: ${STANDARDS_MAP_FILE}, using a single standards file`);
+  }
+}
+
 if (IGNORE_CONFIG_FILE) {
   const customIgnoreConfigPath = path.join(process.env.GITHUB_WORKSPACE, IGNORE_CONFIG_FILE);
   if (fs.existsSync(customIgnoreConfigPath)) {
@@ -60,63 +133,234 @@ if (IGNORE_CONFIG_FILE) {
   }
 }
 
-async function main() {
+if (LANGUAGES_FILE) {
+  const customLanguagesPath = path.join(process.env.GITHUB_WORKSPACE, LANGUAGES_FILE);
+  if (fs.existsSync(customLanguagesPath)) {
+    process.env.LANGUAGES_FILE = customLanguagesPath;
+    core.info(`Using language config: ${LANGUAGES_FILE}`);
+  } else {
+    core.warning(`Language config not found: ${LANGUAGES_FILE}, using built-in languages`);
+  }
+}
+
+if (CONTEXT_RULES_FILE) {
+  const customContextRulesPath = path.join(process.env.GITHUB_WORKSPACE, CONTEXT_RULES_FILE);
+  if (fs.existsSync(customContextRulesPath)) {
+    process.env.CONTEXT_RULES_FILE = customContextRulesPath;
+    core.info(`Using context rules: ${CONTEXT_RULES_FILE}`);
+  } else {
+    core.warning(`Context rules not found: ${CONTEXT_RULES_FILE}, using defaults`);
+  }
+}
+
+// The checker reads the baseline from the PR's base commit, not the checkout.
+// Without the input, a baseline at the default path is picked up if one is committed.
+if (BASELINE_FILE) {
+  process.env.BASELINE_FILE = path.join(process.env.GITHUB_WORKSPACE, BASELINE_FILE);
+  core.info(`Using baseline: ${BASELINE_FILE}`);
+}
+
+/**
+ * Expose the SARIF file path if the checker got far enough to write it
+ */
+function setSarifOutput() {
+  if (fs.existsSync(SARIF_FILE)) {
+    core.setOutput('sarif-file', SARIF_FILE);
+  }
+}
+
+/**
+ * Write the review result as JSON and expose its path
+ */
+function writeResultFile(result) {
   try {
-    core.info('Starting PR Standards Check...');
-    core.info(`Repository: ${REPO}`);
-    core.info(`PR Number: ${PR_NUMBER}`);
-    core.info(`Model: ${MODEL_ID}`);
+    fs.mkdirSync(path.dirname(RESULT_FILE), { recursive: true });
+    fs.writeFileSync(RESULT_FILE, JSON.stringify(result, null, 2) + '\n');
+    core.setOutput('result-file', RESULT_FILE);
+  } catch (error) {
+    core.warning(`Could not write result file ${RESULT_FILE}: ${error.message}`);
+  }
+}
 
-    // Run the checker script
-    const checkerScript = path.join(__dirname, 'check-pr-standards.js');
+/**
+ * Base branch of the PR. Comment events and runs given `pr-number` do not carry
+ * it in the event payload, so it is looked up through the API.
+ */
+async function getBaseRef() {
+  const fromEvent = github.context.payload.pull_request?.base?.ref;
+  if (fromEvent) return fromEvent;
+  try {
+    const client = createGitHubClient({ token: GITHUB_TOKEN, repository: REPO, prNumber: PR_NUMBER, apiUrl: GITHUB_API_URL });
+    return (await client.getPullRequest()).base.ref;
+  } catch (error) {
+    core.warning(`Could not look up the base branch of PR #${PR_NUMBER} (${error.message}); rule links point at the default branch`);
+    return 'HEAD';
+  }
+}
 
-    core.info('Running standards checker...');
+/**
+ * Point rule links in comments at the standards files on the PR's base branch.
+ * Must run before the checker is loaded, which reads the URLs from the environment.
+ */
+function setRepoBlobUrl(baseRef) {
+  const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com';
+  process.env.REPO_BLOB_URL = `${serverUrl}/${REPO}/blob/${baseRef}`;
+  if (STANDARDS_FILE && process.env.STANDARDS_FILE) {
+    process.env.STANDARDS_URL = `${process.env.REPO_BLOB_URL}/${STANDARDS_FILE.replace(/^\.?\//, '')}`;
+  }
+}
 
-    const result = execSync(`node "${checkerScript}"`, {
-      encoding: 'utf8',
-      stdio: 'pipe',
-      env: process.env,
-      maxBuffer: 50 * 1024 * 1024,
-    });
-
-    core.info(result);
-
-    // Parse output to extract issue counts (if available in output)
-    const highMatch = result.match(/HIGH Priority:\s*(\d+)/);
-    const mediumMatch = result.match(/MEDIUM Priority:\s*(\d+)/);
-    const lowMatch = result.match(/LOW Priority:\s*(\d+)/);
-    const totalMatch = result.match(/TOTAL:\s*(\d+)/);
-
-    const highCount = highMatch ? parseInt(highMatch[1], 10) : 0;
-    const mediumCount = mediumMatch ? parseInt(mediumMatch[1], 10) : 0;
-    const lowCount = lowMatch ? parseInt(lowMatch[1], 10) : 0;
-    const totalIssues = totalMatch ? parseInt(totalMatch[1], 10) : 0;
-
-    // Set outputs
-    core.setOutput('issues-found', totalIssues.toString());
-    core.setOutput('high-priority-count', highCount.toString());
-    core.setOutput('medium-priority-count', mediumCount.toString());
-    core.setOutput('low-priority-count', lowCount.toString());
-
-    if (totalIssues > 0 && FAIL_ON_ISSUES) {
-      core.setFailed(`Standards check found ${totalIssues} issue(s). See PR comment for details.`);
-      process.exit(1);
-    } else if (totalIssues > 0) {
-      core.warning(`Standards check found ${totalIssues} issue(s), but not failing due to configuration.`);
-    } else {
-      core.info('✅ No standards violations found!');
-    }
+/**
+ * Review the PR and report the result through the action's outputs.
+ * `options` are passed to reviewPullRequest.
+ */
+async function runReview(options = {}) {
+  let result;
+  try {
+    // Loaded here so the environment above is in place when its config is read
+    const { reviewPullRequest } = require('./check-pr-standards');
 
+    core.info('Running standards checker...');
+    result = await reviewPullRequest(options);
   } catch (error) {
     core.setFailed(`Standards check failed: ${error.message}`);
 
     // Try to set outputs even on failure
+    writeResultFile({ status: 'error', error: error.message });
+    core.setOutput('status', 'error');
     core.setOutput('issues-found', '-1');
     core.setOutput('high-priority-count', '0');
     core.setOutput('medium-priority-count', '0');
     core.setOutput('low-priority-count', '0');
+    setSarifOutput();
+    return;
+  }
 
-    process.exit(1);
+  reportResult(result);
+}
+
+/**
+ * Set the outputs for a review result and fail the step when configured to
+ */
+function reportResult(result) {
+  const { counts, usage } = result;
+  writeResultFile(result);
+  core.setOutput('status', result.status);
+  core.setOutput('issues-found', counts.total.toString());
+  core.setOutput('high-priority-count', counts.mustFix.toString());
+  core.setOutput('medium-priority-count', counts.other.toString());
+  core.setOutput('low-priority-count', '0');
+  if (result.model) {
+    core.setOutput('model-id', result.model);
+  }
+  core.setOutput('input-tokens', usage.input_tokens.toString());
+  core.setOutput('output-tokens', usage.output_tokens.toString());
+  if (usage.estimated_cost_usd !== null) {
+    core.setOutput('estimated-cost', usage.estimated_cost_usd.toString());
+  }
+  if (result.checkRunUrl) {
+    core.setOutput('check-run-url', result.checkRunUrl);
+  }
+  setSarifOutput();
+
+  if (result.status === 'pass') {
+    core.info('✅ No standards violations found!');
+  } else if (result.status === 'skipped') {
+    core.info(`⏭️ Standards check skipped by @${result.override.actor}: ${result.override.reason}`);
+  } else if (FAILURE_MODE === 'label') {
+    core.warning(`Standards check found ${counts.total} issue(s); labeled the PR "${NONCOMPLIANT_LABEL}" (failure-mode: label).`);
+  } else if (FAIL_ON_ISSUES) {
+    core.setFailed(`Standards check found ${counts.total} issue(s). See PR comment for details.`);
+  } else {
+    core.warning(`Standards check found ${counts.total} issue(s), but not failing due to configuration.`);
+  }
+}
+
+/**
+ * Run the `/standards` command of a new PR comment, if it has one. The
+ * commenter's repository role is checked first; the comment gets a 👍 reaction
+ * when the command runs, 👎 when the commenter may not use it and 😕 when it
+ * is not understood.
+ */
+async function handleCommentCommand() {
+  const { action, comment, issue } = github.context.payload;
+  if (action !== 'created' || !issue?.pull_request) {
+    core.info('Not a new comment on a pull request; nothing to do');
+    return;
+  }
+  const command = parseCommand(comment.body);
+  if (!command) {
+    core.info(`No ${COMMAND_PREFIX} command in the comment; nothing to do`);
+    return;
+  }
+  if (comment.user?.type === 'Bot') {
+    core.info(`Ignoring ${COMMAND_PREFIX} command from bot @${comment.user.login}`);
+    return;
+  }
+
+  const actor = comment.user.login;
+  core.info(`Command from @${actor}: ${COMMAND_PREFIX} ${command.name} ${command.argument}`.trim());
+
+  // Loaded here so the environment above is in place when its config is read
+  const checker = require('./check-pr-standards');
+
+  if (command.error) {
+    await checker.reactToComment(comment.id, 'confused');
+    await checker.postCommandReply(`@${actor} ${command.error}. Available commands:\n\n${formatCommandHelp()}`);
+    core.warning(command.error);
+    return;
+  }
+
+  const required = COMMANDS[command.name].role;
+  const role = await checker.getCommenterRole(actor);
+  if (!roleAllows(role, required)) {
+    await checker.reactToComment(comment.id, '-1');
+    await checker.postCommandReply(`@${actor} \`${COMMAND_PREFIX} ${command.name}\` needs ${required} access to the repository (you have ${role}).`);
+    core.warning(`@${actor} (${role}) may not use ${COMMAND_PREFIX} ${command.name}; it needs ${required}`);
+    return;
+  }
+
+  await checker.reactToComment(comment.id, '+1');
+
+  if (command.name === 'recheck') {
+    await runReview({ honorSkip: false });
+  } else if (command.name === 'full') {
+    await runReview({ incremental: false, honorSkip: false });
+  } else {
+    try {
+      if (command.name === 'skip') {
+        reportResult(await checker.skipReview({ actor, reason: command.argument }));
+      } else {
+        const result = await checker.explainFinding({ actor, query: command.argument });
+        writeResultFile(result);
+        core.setOutput('status', result.status);
+      }
+    } catch (error) {
+      core.setFailed(`${COMMAND_PREFIX} ${command.name} failed: ${error.message}`);
+      writeResultFile({ status: 'error', error: error.message });
+      core.setOutput('status', 'error');
+    }
+  }
+}
+
+async function main() {
+  core.info('Starting PR Standards Check...');
+  core.info(`Repository: ${REPO}`);
+  core.info(`PR Number: ${PR_NUMBER}`);
+  core.info(`Provider: ${PROVIDER}`);
+  core.info(`Model: ${MODEL_ID || '(provider default)'}${FALLBACK_MODEL_IDS ? ` (fallbacks: ${FALLBACK_MODEL_IDS})` : ''}`);
+
+  if (!PR_NUMBER) {
+    core.setFailed('No pull request number: set pr-number or run on a pull_request or issue_comment event');
+    return;
+  }
+
+  setRepoBlobUrl(await getBaseRef());
+
+  if (github.context.eventName === 'issue_comment') {
+    await handleCommentCommand();
+  } else {
+    await runReview();
   }
 }
 
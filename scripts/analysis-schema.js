@@ -0,0 +1,156 @@
+/**
+ * Output schema for the model's analysis
+ *
+ * The analysis JSON is checked against a JSON Schema built for the pull request
+ * under review (finding paths must be files of the PR). Only the subset of JSON
+ * Schema used here is supported by the validator: type, enum, required,
+ * properties, items and minimum.
+ */
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Build the schema for an analysis.
+ *
+ * Options:
+ *   paths     files of the pull request; finding paths must be one of them
+ *   reReview  whether the prompt asked for the re-review schema
+ */
+function buildAnalysisSchema({ paths, reReview = false }) {
+  const lineNumber = { type: 'integer', minimum: 1 };
+
+  const finding = {
+    type: 'object',
+    required: ['priority', 'rule_id', 'title', 'path', 'line', 'body'],
+    properties: {
+      priority: { enum: ['must_fix', 'other'] },
+      rule_id: { type: 'string' },
+      title: { type: 'string' },
+      path: { type: 'string', enum: paths },
+      start_line: lineNumber,
+      line: lineNumber,
+      side: { enum: ['LEFT', 'RIGHT'] },
+      body: { type: 'string' },
+      suggestion: {
+        type: 'object',
+        required: ['start_line', 'end_line', 'replacement'],
+        properties: {
+          start_line: lineNumber,
+          end_line: lineNumber,
+          replacement: { type: 'string' },
+        },
+      },
+    },
+  };
+
+  const persisting = {
+    type: 'object',
+    required: ['priority', 'title', 'path'],
+    properties: {
+      thread: { type: 'string' },
+      priority: finding.properties.priority,
+      rule_id: { type: 'string' },
+      title: { type: 'string' },
+      path: { type: 'string' },
+      line: lineNumber,
+      bump_message: { type: 'string' },
+    },
+  };
+
+  return {
+    type: 'object',
+    required: ['status', 'summary'],
+    properties: {
+      status: { enum: ['BLOCK_MERGE', 'APPROVED'] },
+      summary: { type: 'string' },
+      // Re-review answers can still use `findings` (see analyzePullRequest), so it is always checked
+      findings: { type: 'array', items: finding },
+      ...(reReview && {
+        persisting: { type: 'array', items: persisting },
+        new_findings: { type: 'array', items: finding },
+        resolved: STRING_LIST,
+        accepted_explanations: STRING_LIST,
+      }),
+      general_notes: STRING_LIST,
+    },
+  };
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate `value` against `schema`. Returns [{ path, message }], where path is
+ * the list of keys and indexes leading to the invalid value.
+ */
+function validateAgainstSchema(schema, value, path = []) {
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const matches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!matches) {
+      fail(`expected ${schema.type}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const options = schema.enum.length <= 10 ? schema.enum.map(v => JSON.stringify(v)).join(', ') : `${schema.enum.length} allowed values`;
+    fail(`${JSON.stringify(value)} is not one of ${options}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: [...path, key], message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(propertySchema, value[key], [...path, key]));
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(schema.items, item, [...path, index])));
+  }
+
+  return errors;
+}
+
+/**
+ * Readable form of a validation error, e.g. `findings[2].line: expected integer, got string`
+ */
+function formatSchemaError({ path, message }) {
+  const location = path.reduce((out, key) => (typeof key === 'number' ? `${out}[${key}]` : out ? `${out}.${key}` : key), '');
+  return `${location || '(root)'}: ${message}`;
+}
+
+/**
+ * Remove list items that have validation errors. Returns the number removed, or
+ * null when an error is outside a list item and the analysis cannot be salvaged.
+ */
+function removeInvalidItems(data, errors) {
+  const invalid = new Map();
+  for (const { path } of errors) {
+    if (path.length < 2 || typeof path[1] !== 'number') return null;
+    if (!invalid.has(path[0])) invalid.set(path[0], new Set());
+    invalid.get(path[0]).add(path[1]);
+  }
+
+  let removed = 0;
+  for (const [key, indexes] of invalid) {
+    data[key] = data[key].filter((_, index) => !indexes.has(index));
+    removed += indexes.size;
+  }
+  return removed;
+}
+
+module.exports = { buildAnalysisSchema, validateAgainstSchema, formatSchemaError, removeInvalidItems };
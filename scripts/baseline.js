@@ -0,0 +1,145 @@
+/**
+ * Baseline of known findings
+ *
+ * A committed JSON file grandfathers the findings that already exist in a
+ * codebase, so PRs touching legacy files are not flooded with issues nobody
+ * introduced. `pr-standards baseline` writes it; every later run drops findings
+ * that match an entry:
+ *
+ *   {
+ *     "version": 1,
+ *     "entries": [
+ *       { "path": "src/db.js", "rule_id": "security.sql-injection-prevention", "hash": "9f86d081884c7d65", "lines": 2, "title": "Query built by concatenation" }
+ *     ]
+ *   }
+ *
+ * Entries are keyed by path, rule and a hash of the flagged code (whitespace
+ * trimmed), not by line number, so they survive code moving around the file.
+ * An entry expires once no `lines`-long block of its file hashes to it any more:
+ * it stops matching and the next `pr-standards baseline` drops it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { findingRange } = require('./diff-lines');
+
+const DEFAULT_BASELINE_FILE = '.github/pr-standards-baseline.json';
+const BASELINE_VERSION = 1;
+
+/**
+ * Hash of a block of code, ignoring indentation and trailing whitespace
+ */
+function hashLines(lines) {
+  return crypto
+    .createHash('sha256')
+    .update(lines.map(line => line.trim()).join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Baseline entry for a finding in `content` (the file at the reviewed commit),
+ * or null for findings that do not point at code in the new version of the file
+ */
+function entryFor(finding, content) {
+  const { side, startLine, line } = findingRange(finding);
+  if (side === 'LEFT' || content === undefined || !Number.isInteger(line) || line < 1) return null;
+  const lines = content.split('\n');
+  if (line > lines.length) return null;
+  const first = Math.max(startLine, 1);
+
+  return {
+    path: finding.path,
+    rule_id: finding.rule_id || '',
+    hash: hashLines(lines.slice(first - 1, line)),
+    lines: line - first + 1,
+    title: finding.title,
+  };
+}
+
+/**
+ * Whether the code an entry points at is gone from `content` (undefined when the file was deleted)
+ */
+function isExpired(entry, content) {
+  if (content === undefined) return true;
+  const lines = content.split('\n');
+  for (let start = 0; start + entry.lines <= lines.length; start++) {
+    if (hashLines(lines.slice(start, start + entry.lines)) === entry.hash) return false;
+  }
+  return true;
+}
+
+/**
+ * Parse baseline file contents; `source` names the file in warnings.
+ * Returns null when the contents cannot be parsed.
+ */
+function parseBaseline(text, source) {
+  try {
+    const baseline = JSON.parse(text);
+    return { ...baseline, entries: Array.isArray(baseline.entries) ? baseline.entries : [] };
+  } catch (error) {
+    console.warn(`⚠️  Could not load baseline ${source}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load a baseline file. Returns null when the file does not exist or cannot be parsed.
+ */
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return parseBaseline(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Baseline file contents for a set of entries, deduped and sorted so the file diffs cleanly
+ */
+function buildBaseline(entries) {
+  const seen = new Set();
+  const unique = entries.filter(entry => {
+    const key = `${entry.path}\0${entry.rule_id}\0${entry.hash}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  unique.sort((a, b) => a.path.localeCompare(b.path) || a.rule_id.localeCompare(b.rule_id) || a.hash.localeCompare(b.hash));
+  return { version: BASELINE_VERSION, entries: unique };
+}
+
+/**
+ * Remove findings that match a baseline entry from `findings`, `new_findings`
+ * and `persisting`. `contents` maps paths to file contents at the reviewed commit.
+ * Returns { removed, expired }: the removed findings, and the entries for files
+ * in `contents` whose code is gone.
+ */
+function removeBaselineFindings(data, baseline, contents) {
+  const removed = [];
+
+  for (const key of ['findings', 'new_findings', 'persisting']) {
+    if (!Array.isArray(data[key])) continue;
+    data[key] = data[key].filter(finding => {
+      const entry = entryFor(finding, contents[finding.path]);
+      const known = entry && baseline.entries.some(e =>
+        e.path === entry.path && e.rule_id === entry.rule_id && e.hash === entry.hash
+      );
+      if (known) removed.push(finding);
+      return !known;
+    });
+  }
+
+  const expired = baseline.entries.filter(entry =>
+    contents[entry.path] !== undefined && isExpired(entry, contents[entry.path])
+  );
+
+  return { removed, expired };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  entryFor,
+  isExpired,
+  parseBaseline,
+  loadBaseline,
+  buildBaseline,
+  removeBaselineFindings,
+};
@@ -0,0 +1,265 @@
+/**
+ * Reverse-dependency context
+ *
+ * Finds code in the checked-out repository that uses symbols exported from
+ * changed JavaScript/TypeScript files, so the model can check that a changed
+ * signature or behaviour still fits its callers. The scan is static and
+ * line-based: it reads `import`/`require`/`export ... from` statements with
+ * relative specifiers, resolves them to files, and collects snippets around the
+ * lines that use the imported names. Path aliases (tsconfig `paths`, webpack
+ * aliases) are not resolved.
+ *
+ * Only exports whose name appears on a changed line or in a hunk header of the
+ * diff are considered changed, which keeps unrelated exports of a large module
+ * from flooding the context.
+ */
+
+const path = require('path');
+const { splitDiffByFile } = require('./chunking');
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Name used for a module's default export (or `module.exports = ...`)
+const DEFAULT_EXPORT = 'default';
+
+/**
+ * Names exported by a JS/TS module (ESM and CommonJS). `default` stands for the default export.
+ */
+function findExports(content) {
+  const names = new Set();
+  const add = name => name && names.add(name);
+
+  for (const match of content.matchAll(/^\s*export\s+(?:declare\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum|abstract\s+class)\s+([A-Za-z_$][\w$]*)/gm)) {
+    add(match[1]);
+  }
+  if (/^\s*export\s+default\b/m.test(content)) {
+    add(DEFAULT_EXPORT);
+  }
+  for (const match of content.matchAll(/^\s*export\s*\{([^}]*)\}/gm)) {
+    for (const spec of match[1].split(',')) {
+      const parts = spec.trim().split(/\s+as\s+/);
+      add((parts[1] || parts[0]).trim());
+    }
+  }
+  for (const match of content.matchAll(/(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/g)) {
+    add(match[1]);
+  }
+  const objectExport = content.match(/module\.exports\s*=\s*\{([^}]*)\}/);
+  if (objectExport) {
+    for (const spec of objectExport[1].split(',')) {
+      add(spec.trim().split(/[\s:(]/)[0]);
+    }
+  } else if (/module\.exports\s*=/.test(content)) {
+    add(DEFAULT_EXPORT);
+  }
+
+  return [...names].filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+}
+
+/**
+ * Exports whose name appears in the changed lines or hunk headers of a file's diff section.
+ * A changed `module.exports = ...` or `export default` line marks the default export as changed.
+ */
+function changedExports(exportNames, section) {
+  const changedText = section.hunks
+    .flatMap(hunk => hunk.split('\n'))
+    .filter(line => /^[+-]/.test(line) || line.startsWith('@@'))
+    .join('\n');
+
+  return exportNames.filter(name => {
+    if (name === DEFAULT_EXPORT) return /export\s+default|module\.exports\s*=/.test(changedText);
+    return new RegExp(`(^|[^\\w$])${name.replace(/\$/g, '\\$')}([^\\w$]|$)`).test(changedText);
+  });
+}
+
+/**
+ * Resolve a relative module specifier from `importer` to a path in `fileSet`
+ */
+function resolveSpecifier(importer, specifier, fileSet) {
+  if (!specifier.startsWith('.')) return null;
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(importer), specifier));
+
+  const candidates = [
+    base,
+    ...JS_EXTENSIONS.map(ext => base + ext),
+    // TypeScript ESM imports name the emitted .js file
+    ...(/\.[cm]?js$/.test(base) ? JS_EXTENSIONS.map(ext => base.replace(/\.[cm]?js$/, ext)) : []),
+    ...JS_EXTENSIONS.map(ext => `${base}/index${ext}`),
+  ];
+  return candidates.find(candidate => fileSet.has(candidate)) || null;
+}
+
+/**
+ * Import bindings in a module: [{ specifier, line, bindings: [{ imported, local }] }].
+ * A namespace or CommonJS object import has imported `*`; its members are matched as `local.name`.
+ */
+function findImports(content) {
+  const imports = [];
+  const lineOf = index => content.slice(0, index).split('\n').length;
+
+  const parseNamed = list => list.split(',').map(spec => spec.trim()).filter(Boolean).map(spec => {
+    const parts = spec.replace(/^type\s+/, '').split(/\s+as\s+|\s*:\s*/);
+    return { imported: parts[0].trim(), local: (parts[1] || parts[0]).trim() };
+  });
+
+  // import x, { a, b as c } from '...'; import * as ns from '...'
+  for (const match of content.matchAll(/^\s*import\s+(?:type\s+)?([^;'"]*?)\s*from\s*['"]([^'"]+)['"]/gm)) {
+    const clause = match[1];
+    const bindings = [];
+    const named = clause.match(/\{([\s\S]*)\}/);
+    if (named) bindings.push(...parseNamed(named[1]));
+    const namespace = clause.match(/\*\s+as\s+([A-Za-z_$][\w$]*)/);
+    if (namespace) bindings.push({ imported: '*', local: namespace[1] });
+    const defaultImport = clause.replace(/\{[\s\S]*\}/, '').replace(/\*\s+as\s+[\w$]+/, '').split(',')[0].trim();
+    if (/^[A-Za-z_$][\w$]*$/.test(defaultImport)) bindings.push({ imported: DEFAULT_EXPORT, local: defaultImport });
+    imports.push({ specifier: match[2], line: lineOf(match.index), bindings });
+  }
+
+  // const { a, b: c } = require('...'); const x = require('...')
+  for (const match of content.matchAll(/(?:const|let|var)\s+(\{[^}]*\}|[A-Za-z_$][\w$]*)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+    const target = match[1];
+    const bindings = target.startsWith('{')
+      ? parseNamed(target.slice(1, -1))
+      : [{ imported: '*', local: target }, { imported: DEFAULT_EXPORT, local: target }];
+    imports.push({ specifier: match[2], line: lineOf(match.index), bindings });
+  }
+
+  // export { a } from '...'; export * from '...' (re-exports count as uses)
+  for (const match of content.matchAll(/^\s*export\s+(\*|\{[^}]*\})\s*from\s*['"]([^'"]+)['"]/gm)) {
+    const bindings = match[1] === '*' ? [] : parseNamed(match[1].slice(1, -1));
+    imports.push({ specifier: match[2], line: lineOf(match.index), bindings, reexport: true });
+  }
+
+  return imports;
+}
+
+/**
+ * Lines of `content` that use any of the given local names (qualified as `ns.name` for namespace imports)
+ */
+function usageLines(content, uses, skipLines) {
+  const patterns = uses.map(({ local, member }) => {
+    const escape = s => s.replace(/\$/g, '\\$');
+    const name = member ? `${escape(local)}\\s*\\.\\s*${escape(member)}` : escape(local);
+    return new RegExp(`(^|[^\\w$.])${name}([^\\w$]|$)`);
+  });
+
+  const lines = [];
+  content.split('\n').forEach((line, index) => {
+    if (!skipLines.includes(index + 1) && patterns.some(re => re.test(line))) lines.push(index + 1);
+  });
+  return lines;
+}
+
+/**
+ * Merge usage lines into snippets with `contextLines` of surrounding code
+ */
+function buildSnippets(content, lines, contextLines) {
+  const source = content.replace(/\n$/, '').split('\n');
+  const ranges = [];
+
+  for (const line of lines) {
+    const start = Math.max(1, line - contextLines);
+    const end = Math.min(source.length, line + contextLines);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  return ranges.map(({ start, end }) => ({ start, end, text: source.slice(start - 1, end).join('\n') }));
+}
+
+/**
+ * Find callers of exports changed by a diff.
+ *
+ * Options:
+ *   diff          unified diff of the changes under review
+ *   repoFiles     repository-relative paths of files that may import the changed files
+ *   readFile      function(path) => content or null
+ *   isCandidate   function(path) => whether a file may be scanned (language, ignore rules)
+ *   limits        { maxCallers, maxCallerChars, callerContextLines }
+ *
+ * Returns [{ path, targets, symbols, snippets: [{ start, end, text }] }], at most
+ * maxCallers entries and maxCallerChars characters of snippets in total.
+ */
+function findCallers({ diff, repoFiles, readFile, isCandidate = () => true, limits }) {
+  const { maxCallers, maxCallerChars, callerContextLines } = limits;
+  if (!maxCallers || maxCallers <= 0) return [];
+
+  const fileSet = new Set(repoFiles);
+  const changed = new Map();
+
+  for (const section of splitDiffByFile(diff)) {
+    if (!isCandidate(section.path) || !fileSet.has(section.path)) continue;
+    const content = readFile(section.path);
+    if (content === null) continue;
+    const symbols = changedExports(findExports(content), section);
+    if (symbols.length > 0) changed.set(section.path, symbols);
+  }
+  if (changed.size === 0) return [];
+
+  // Cheap pre-filter: an importer must mention the changed module's file name
+  const stems = [...changed.keys()].map(p => {
+    const stem = path.posix.basename(p).replace(/\.[^.]+$/, '');
+    return stem === 'index' ? path.posix.basename(path.posix.dirname(p)) : stem;
+  });
+
+  const callers = [];
+  let totalChars = 0;
+
+  for (const importer of repoFiles) {
+    if (callers.length >= maxCallers || totalChars >= maxCallerChars) break;
+    if (changed.has(importer) || !isCandidate(importer)) continue;
+
+    const content = readFile(importer);
+    if (content === null || !stems.some(stem => content.includes(stem))) continue;
+
+    // Direct bindings of changed symbols, or members of namespace imports, across all imports of changed files
+    const uses = [];
+    const importLines = [];
+    const targets = new Set();
+    for (const imp of findImports(content)) {
+      const target = resolveSpecifier(importer, imp.specifier, fileSet);
+      const symbols = target && changed.get(target);
+      if (!symbols) continue;
+
+      const before = uses.length;
+      for (const binding of imp.bindings) {
+        if (binding.imported === '*') {
+          for (const symbol of symbols.filter(s => s !== DEFAULT_EXPORT)) uses.push({ local: binding.local, member: symbol, symbol });
+        } else if (symbols.includes(binding.imported)) {
+          uses.push({ local: binding.local, symbol: binding.imported });
+        }
+      }
+      if (uses.length > before || (imp.reexport && imp.bindings.length === 0)) {
+        importLines.push(imp.line);
+        targets.add(target);
+      }
+    }
+    if (importLines.length === 0) continue;
+
+    const lines = [...new Set([...importLines, ...usageLines(content, uses, importLines)])].sort((a, b) => a - b);
+
+    // Keep whole snippets while they fit the remaining budget
+    const snippets = [];
+    for (const snippet of buildSnippets(content, lines, callerContextLines)) {
+      if (totalChars + snippet.text.length > maxCallerChars) break;
+      totalChars += snippet.text.length;
+      snippets.push(snippet);
+    }
+    if (snippets.length === 0) break;
+
+    callers.push({
+      path: importer,
+      targets: [...targets],
+      symbols: [...new Set(uses.map(u => u.symbol))],
+      snippets,
+    });
+  }
+
+  return callers;
+}
+
+module.exports = { findCallers, findExports, findImports, changedExports, resolveSpecifier };
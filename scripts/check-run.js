@@ -0,0 +1,85 @@
+/**
+ * GitHub Check Run output
+ *
+ * Converts a parsed analysis into the output of a check run: a title, a markdown
+ * summary shown on the check's page, and one annotation per finding so the
+ * findings also appear in the "Files changed" tab. Branch protection can then
+ * require the check instead of the job that runs the action.
+ */
+
+const { formatRuleReference } = require('./standards');
+const { parseSuggestion } = require('./suggestions');
+const { findingRange, formatLocation } = require('./diff-lines');
+
+// must_fix blocks merge, so it is a failure annotation; everything else is a warning
+const LEVELS = { must_fix: 'failure', other: 'warning' };
+
+// GitHub truncates longer summaries
+const MAX_SUMMARY_CHARS = 65535;
+
+/**
+ * Annotation for a finding, or null when it has no line in the new version of
+ * the file (findings on removed lines are listed in the summary only)
+ */
+function annotationFor(finding) {
+  const { side, startLine, line } = findingRange(finding);
+  if (side === 'LEFT' || !Number.isInteger(line) || line < 1) return null;
+
+  const annotation = {
+    path: finding.path,
+    start_line: startLine,
+    end_line: line,
+    annotation_level: LEVELS[finding.priority] || 'warning',
+    title: finding.title || finding.rule_id || 'Standards issue',
+    message: [finding.body || finding.bump_message || 'Still present.', finding.rule_id && `Rule: ${finding.rule_id}`]
+      .filter(Boolean).join('\n\n'),
+  };
+  const suggestion = parseSuggestion(finding);
+  if (suggestion) annotation.raw_details = `Suggested fix:\n${suggestion.replacement}`;
+  return annotation;
+}
+
+/**
+ * Build the check run output ({ title, summary, annotations }) for a parsed analysis.
+ * Covers `findings` (first review) as well as `new_findings` and `persisting` (re-review).
+ */
+function buildCheckRunOutput(data, standards, { standardsUrl = '', modelId = '' } = {}) {
+  const findings = [
+    ...(data.findings || []),
+    ...(data.new_findings || []),
+    ...(data.persisting || []),
+  ];
+  const mustFix = findings.filter(f => f.priority === 'must_fix').length;
+
+  const title = findings.length === 0
+    ? 'No standards issues found'
+    : `${findings.length} issue(s) found, ${mustFix} must fix`;
+
+  let summary = `${data.summary || ''}\n\n`;
+  if (findings.length > 0) {
+    const cell = text => String(text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    summary += '| Priority | Issue | Location | Rule |\n|---|---|---|---|\n';
+    for (const finding of findings) {
+      const priority = finding.priority === 'must_fix' ? '🔴 Must Fix' : '🟡 Other';
+      summary += `| ${priority} | ${cell(finding.title)} | \`${cell(formatLocation(finding))}\` | ${formatRuleReference(finding.rule_id, standards, standardsUrl)} |\n`;
+    }
+    summary += '\n';
+  }
+  if (data.resolved?.length) {
+    summary += `**Resolved since the last review:** ${data.resolved.length}\n\n`;
+  }
+  if (modelId) {
+    summary += `*🤖 Automated review using AI. Model: ${modelId}. Human review still required for final approval.*\n`;
+  }
+  if (summary.length > MAX_SUMMARY_CHARS) {
+    summary = summary.slice(0, MAX_SUMMARY_CHARS - 40) + '\n\n... (truncated; see the annotations)\n';
+  }
+
+  return {
+    title,
+    summary,
+    annotations: findings.map(annotationFor).filter(Boolean),
+  };
+}
+
+module.exports = { buildCheckRunOutput };
@@ -0,0 +1,208 @@
+/**
+ * Chunked multi-pass review helpers
+ *
+ * Large PRs are split into groups of files that fit a character budget so the
+ * model sees every change. Each group is reviewed separately and the results are
+ * merged back into a single analysis. Nothing is truncated: a file whose diff is
+ * larger than the budget on its own is split at hunk boundaries, and when the full
+ * contents of a file do not fit they are omitted (and reported) rather than cut.
+ */
+
+/**
+ * Split a unified diff into per-file sections.
+ * Returns an array of { path, header, hunks } where header is the text before the
+ * first hunk and each hunk is the full text of one "@@" block.
+ */
+function splitDiffByFile(diff) {
+  const sections = [];
+  let current = null;
+  let currentHunk = null;
+
+  const flushHunk = () => {
+    if (current && currentHunk !== null) current.hunks.push(currentHunk);
+    currentHunk = null;
+  };
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      flushHunk();
+      const match = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+      current = { path: match ? match[2] : line, header: line + '\n', hunks: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (line.startsWith('@@')) {
+      flushHunk();
+      currentHunk = line + '\n';
+    } else if (currentHunk !== null) {
+      currentHunk += line + '\n';
+    } else {
+      current.header += line + '\n';
+      // Renames and deletions: the "+++" line is the authoritative new path
+      const newPath = line.match(/^\+\+\+ b\/(.+)$/);
+      if (newPath) current.path = newPath[1];
+    }
+  }
+  flushHunk();
+
+  return sections;
+}
+
+/**
+ * Join a diff section (or a subset of its hunks) back into diff text
+ */
+function sectionText(section, hunks = section.hunks) {
+  return section.header + hunks.join('');
+}
+
+/**
+ * Group diff sections into review chunks that fit within `budgetChars`.
+ *
+ * The cost of a file is its diff plus its full contents. Files are packed in
+ * diff order. When a file does not fit even in an empty chunk, its full contents
+ * are dropped from the prompt (recorded in `omittedContents`) and, if the diff
+ * alone is still too large, the diff is split across several chunks by hunk.
+ *
+ * Returns [{ paths, diff, fileContents, omittedContents, partial }] where
+ * `partial` lists paths whose diff is spread over more than one chunk.
+ */
+function planReviewChunks(sections, fileContents, budgetChars) {
+  const chunks = [];
+  let current = null;
+
+  const newChunk = () => {
+    current = { paths: [], diff: '', fileContents: {}, omittedContents: [], partial: [], size: 0 };
+    chunks.push(current);
+    return current;
+  };
+
+  const addToChunk = (chunk, path, diffText, content, { omitted = false, partial = false } = {}) => {
+    if (!chunk.paths.includes(path)) chunk.paths.push(path);
+    chunk.diff += diffText;
+    chunk.size += diffText.length;
+    if (content) {
+      chunk.fileContents[path] = content;
+      chunk.size += content.content.length;
+    }
+    if (omitted && !chunk.omittedContents.includes(path)) chunk.omittedContents.push(path);
+    if (partial && !chunk.partial.includes(path)) chunk.partial.push(path);
+  };
+
+  for (const section of sections) {
+    const diffText = sectionText(section);
+    const content = fileContents[section.path];
+    const fullCost = diffText.length + (content ? content.content.length : 0);
+
+    // Fits alongside what is already in the current chunk
+    if (current && current.size + fullCost <= budgetChars) {
+      addToChunk(current, section.path, diffText, content);
+      continue;
+    }
+
+    // Fits in a chunk of its own
+    if (fullCost <= budgetChars) {
+      addToChunk(newChunk(), section.path, diffText, content);
+      continue;
+    }
+
+    // Too big with its contents: review from the diff alone
+    if (diffText.length <= budgetChars) {
+      addToChunk(newChunk(), section.path, diffText, null, { omitted: !!content });
+      continue;
+    }
+
+    // Diff alone is too big: spread its hunks over as many chunks as needed.
+    // A single hunk larger than the budget still gets a chunk of its own.
+    let part = newChunk();
+    let partHunks = [];
+    for (const hunk of section.hunks) {
+      const partSize = section.header.length + partHunks.join('').length;
+      if (partHunks.length && partSize + hunk.length > budgetChars) {
+        addToChunk(part, section.path, sectionText(section, partHunks), null, { omitted: !!content, partial: true });
+        part = newChunk();
+        partHunks = [];
+      }
+      partHunks.push(hunk);
+    }
+    addToChunk(part, section.path, sectionText(section, partHunks), null, { omitted: !!content, partial: true });
+    // Start the next file in a fresh chunk rather than after an oversized part
+    current = null;
+  }
+
+  return chunks.map(({ size, ...chunk }) => chunk);
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, preserving order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Remove duplicates from `items`, keeping the first occurrence of each key
+ */
+function dedupeBy(items, keyFn) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyFn(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+const normalize = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Merge per-chunk analyses into a single analysis with the same schema.
+ * Findings are deduped by path, line and title, persisting issues by thread; notes and thread IDs by text.
+ * Throws when there is nothing to merge, rather than approving an unreviewed PR.
+ */
+function mergeChunkAnalyses(analyses) {
+  if (analyses.length === 0) throw new Error('No chunk analyses to merge');
+
+  const findingKey = f => `${f.path}:${f.side || 'RIGHT'}:${f.line}:${normalize(f.title)}`;
+  const concat = key => analyses.flatMap(a => a[key] || []);
+
+  const merged = {
+    status: analyses.some(a => a.status === 'BLOCK_MERGE') ? 'BLOCK_MERGE' : 'APPROVED',
+    summary: `Large PR reviewed in ${analyses.length} chunks. ` +
+      dedupeBy(analyses.map(a => a.summary).filter(Boolean), normalize).join(' '),
+    findings: dedupeBy(concat('findings'), findingKey),
+    persisting: dedupeBy(concat('persisting'), f => f.thread || `${f.path}:${normalize(f.title)}`),
+    new_findings: dedupeBy(concat('new_findings'), findingKey),
+    resolved: dedupeBy(concat('resolved'), normalize),
+    accepted_explanations: dedupeBy(concat('accepted_explanations'), normalize),
+    general_notes: dedupeBy(concat('general_notes'), normalize),
+  };
+
+  // Keep the "omit empty arrays" shape the single-pass schema produces
+  for (const key of Object.keys(merged)) {
+    if (Array.isArray(merged[key]) && merged[key].length === 0) delete merged[key];
+  }
+
+  return merged;
+}
+
+module.exports = {
+  splitDiffByFile,
+  sectionText,
+  planReviewChunks,
+  mapWithConcurrency,
+  mergeChunkAnalyses,
+};
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+
+/**
+ * PR Standards CLI
+ *
+ * Runs the standards review against a local git range so developers can
+ * self-check before pushing. Nothing is posted to GitHub.
+ *
+ *   pr-standards review --base origin/main --head HEAD [--format pretty|json|markdown]
+ *   pr-standards baseline [paths...] [--baseline-file <path>]
+ *
+ * `baseline` reviews the existing code and writes the baseline of known
+ * findings that later runs leave out (see ./baseline).
+ *
+ * Exit codes: 0 = no issues (baseline: written), 1 = issues found, 2 = the check could not run.
+ */
+
+const { parseArgs } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { parseSuggestion, formatSuggestionSnippet } = require('./suggestions');
+const { formatLocation } = require('./diff-lines');
+const { formatUsage, formatTrimmedContext } = require('./usage');
+const { DEFAULT_BASELINE_FILE, entryFor, isExpired, loadBaseline, buildBaseline } = require('./baseline');
+
+const USAGE = `Usage: pr-standards review [options]
+       pr-standards baseline [paths...] [options]
+
+Commands:
+  review                  Review the changes between two refs
+  baseline                Review the existing code (or only the given paths) and write
+                          the baseline of known findings that later runs leave out
+
+Options:
+  --base <ref>            Base ref to diff against (default: origin/main)
+  --head <ref>            Head ref to review (default: HEAD)
+  --format <format>       Output format: pretty, json or markdown (default: pretty)
+  --sarif <path>          Also write the findings as a SARIF 2.1.0 file
+  --baseline-file <path>  Baseline of known findings (default: ${DEFAULT_BASELINE_FILE})
+  --standards-file <path> Custom standards file
+  --standards-map <path>  Standards map assigning standards files to paths
+  --ignore-config <path>  Custom ignore config file
+  --languages <path>      Language config adding or overriding languages
+  --context-rules <path>  Context rules for related files and pattern examples
+  --provider <name>       LLM provider: bedrock, anthropic, openai or mock (default: bedrock)
+  --model-id <id>         Model ID (or Bedrock inference profile ARN)
+  --fallback-model-ids <ids>
+                          Comma-separated models to try when the primary is unavailable
+  --prompt-token-budget <n>
+                          Estimated prompt tokens per request; context is trimmed to fit (default: 100000)
+  -h, --help              Show this help
+`;
+
+const COMMANDS = ['review', 'baseline'];
+const FORMATS = ['pretty', 'json', 'markdown'];
+
+/**
+ * Parse command line arguments into a command name and options
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      base: { type: 'string', default: 'origin/main' },
+      head: { type: 'string', default: 'HEAD' },
+      format: { type: 'string', default: 'pretty' },
+      sarif: { type: 'string' },
+      'baseline-file': { type: 'string' },
+      'standards-file': { type: 'string' },
+      'standards-map': { type: 'string' },
+      'ignore-config': { type: 'string' },
+      languages: { type: 'string' },
+      'context-rules': { type: 'string' },
+      provider: { type: 'string' },
+      'model-id': { type: 'string' },
+      'fallback-model-ids': { type: 'string' },
+      'prompt-token-budget': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  return { command: positionals[0], paths: positionals.slice(1), options: values };
+}
+
+/**
+ * Point the checker at custom files before it is loaded (it reads its config from the environment)
+ */
+function applyEnvironment(options) {
+  const customFiles = [
+    ['standards-file', 'STANDARDS_FILE'],
+    ['standards-map', 'STANDARDS_MAP_FILE'],
+    ['ignore-config', 'IGNORE_CONFIG_FILE'],
+    ['languages', 'LANGUAGES_FILE'],
+    ['context-rules', 'CONTEXT_RULES_FILE'],
+  ];
+
+  for (const [option, envName] of customFiles) {
+    if (!options[option]) continue;
+    const resolved = path.resolve(options[option]);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`File not found for --${option}: ${options[option]}`);
+    }
+    process.env[envName] = resolved;
+  }
+
+  if (options.provider) {
+    process.env.PROVIDER = options.provider;
+  }
+
+  if (options['model-id']) {
+    process.env.MODEL_ID = options['model-id'];
+  }
+
+  if (options['fallback-model-ids']) {
+    process.env.FALLBACK_MODEL_IDS = options['fallback-model-ids'];
+  }
+
+  if (options['baseline-file']) {
+    process.env.BASELINE_FILE = path.resolve(options['baseline-file']);
+  }
+
+  if (options['prompt-token-budget']) {
+    if (!/^\d+$/.test(options['prompt-token-budget'])) {
+      throw new Error(`Invalid --prompt-token-budget: ${options['prompt-token-budget']}`);
+    }
+    process.env.PROMPT_TOKEN_BUDGET = options['prompt-token-budget'];
+  }
+}
+
+/**
+ * Collect every finding from a parsed analysis regardless of review mode
+ */
+function allFindings(data) {
+  return [...(data.findings || []), ...(data.new_findings || []), ...(data.persisting || [])];
+}
+
+/**
+ * Note for a finding whose rule is unknown
+ */
+function ruleWarning(finding, prefix, suffix = '') {
+  return finding.unknown_rule ? `${prefix}unknown rule${suffix}` : '';
+}
+
+/**
+ * Render findings for a terminal
+ */
+function formatPretty(data, counts, range) {
+  const priorityIcon = p => p === 'must_fix' ? '🔴' : '🟡';
+  let out = `\n🔍 PR Standards Check — ${range}\n\n`;
+
+  if (data.summary) out += `${data.summary}\n\n`;
+
+  for (const f of allFindings(data)) {
+    out += `${priorityIcon(f.priority)} ${f.title}\n`;
+    out += `   ${formatLocation(f)}  [${f.rule_id || 'no rule'}${ruleWarning(f, ' — ')}]\n`;
+    if (f.body) {
+      out += f.body.split('\n').map(l => `   ${l}`).join('\n') + '\n';
+    }
+    const suggestion = parseSuggestion(f);
+    if (suggestion) {
+      const lines = suggestion.startLine === suggestion.endLine ? suggestion.startLine : `${suggestion.startLine}-${suggestion.endLine}`;
+      out += `   Suggested fix (line ${lines}):\n`;
+      out += suggestion.replacement.split('\n').map(l => `   | ${l}`).join('\n') + '\n';
+    }
+    out += '\n';
+  }
+
+  if (data.general_notes?.length) {
+    out += `📋 General Notes\n`;
+    for (const note of data.general_notes) out += `   - ${note}\n`;
+    out += '\n';
+  }
+
+  const suppressions = data.suppressions;
+  if (suppressions?.added.length) {
+    out += `🔕 Suppressions Added\n`;
+    for (const sup of suppressions.added) {
+      out += `   ${sup.path}:${sup.start}${sup.end !== sup.start ? `-${sup.end}` : ''}  [${sup.rules ? sup.rules.join(', ') : 'all rules'}] ${sup.reason}\n`;
+    }
+    out += '\n';
+  }
+  if (suppressions?.rejected.length) {
+    out += `⚠️  Rejected suppression markers (not applied): ${suppressions.rejected.map(r => `${r.path}:${r.line} (${r.error})`).join(', ')}\n`;
+  }
+
+  if (data.baseline?.changed) {
+    out += `📝 The changes include the baseline of known findings (${data.baseline.file}); it is read from the base, so they apply once merged\n`;
+  }
+  if (data.baseline?.suppressed_count) {
+    out += `📉 ${data.baseline.suppressed_count} finding(s) matched the baseline of known findings (${data.baseline.file})\n`;
+  }
+  if (data.baseline?.expired_count) {
+    out += `🧹 ${data.baseline.expired_count} baseline entr${data.baseline.expired_count === 1 ? 'y points' : 'ies point'} at code that is gone; run \`pr-standards baseline\` to drop ${data.baseline.expired_count === 1 ? 'it' : 'them'}\n`;
+  }
+
+  if (data.omitted_contents?.length) {
+    out += `ℹ️  Reviewed from the diff only (full contents too large): ${data.omitted_contents.join(', ')}\n`;
+  }
+  if (data.trimmed_context) {
+    out += `✂️  Left out to fit the prompt token budget: ${formatTrimmedContext(data.trimmed_context)}\n`;
+  }
+  if (data.usage) {
+    out += `💰 ${formatUsage(data.usage)}\n`;
+  }
+
+  const statusEmoji = { BLOCK_MERGE: '🚫', APPROVED: '✅' }[data.status] || '❓';
+  out += `Status: ${statusEmoji} ${(data.status || 'UNKNOWN').replace('_', ' ')}\n`;
+  out += `Must Fix: ${counts.highPriorityCount}  Other: ${counts.mediumPriorityCount}  Total: ${counts.totalIssues}\n`;
+
+  return out;
+}
+
+/**
+ * Render findings as a markdown report (e.g. to paste into a PR description)
+ */
+function formatMarkdown(data, counts, range) {
+  const priorityIcon = p => p === 'must_fix' ? '🔴' : '🟡';
+  let out = `# 🔍 PR Standards Check\n\n**Range:** \`${range}\`\n\n`;
+
+  if (data.summary) out += `${data.summary}\n\n`;
+
+  for (const [label, icon, p] of [['Must Fix', '🔴', 'must_fix'], ['Other', '🟡', 'other']]) {
+    const group = allFindings(data).filter(f => f.priority === p);
+    if (group.length) {
+      out += `## ${icon} ${label}\n\n`;
+      for (const f of group) {
+        out += `### ${priorityIcon(f.priority)} ${f.title} (\`${formatLocation(f)}\`)\n\n${f.body || f.title}\n\n`;
+        const suggestion = parseSuggestion(f);
+        if (suggestion) out += `${formatSuggestionSnippet(suggestion)}\n\n`;
+        out += `<sub>📏 Rule: \`${f.rule_id || 'none'}\`${ruleWarning(f, ' (', ')')}</sub>\n\n`;
+      }
+    }
+  }
+
+  if (data.general_notes?.length) {
+    out += `## 📋 General Notes\n\n`;
+    for (const note of data.general_notes) out += `- ${note}\n`;
+    out += '\n';
+  }
+
+  const suppressions = data.suppressions;
+  if (suppressions?.added.length) {
+    out += `## 🔕 Suppressions Added\n\n`;
+    for (const sup of suppressions.added) {
+      const location = sup.start === sup.end ? `${sup.path}:${sup.start}` : `${sup.path}:${sup.start}-${sup.end}`;
+      out += `- \`${location}\` — ${sup.rules ? sup.rules.map(r => `\`${r}\``).join(', ') : 'all rules'}: ${sup.reason}\n`;
+    }
+    out += '\n';
+  }
+  if (suppressions?.rejected.length) {
+    out += `> ⚠️ Rejected suppression markers (not applied): ${suppressions.rejected.map(r => `\`${r.path}:${r.line}\` (${r.error})`).join(', ')}\n\n`;
+  }
+
+  if (data.baseline?.changed) {
+    out += `> 📝 The changes include the baseline of known findings (\`${data.baseline.file}\`); it is read from the base, so they apply once merged.\n\n`;
+  }
+  if (data.baseline?.suppressed_count) {
+    out += `> 📉 ${data.baseline.suppressed_count} finding(s) matched the baseline of known findings (\`${data.baseline.file}\`) and are not listed.\n\n`;
+  }
+
+  const statusEmoji = { BLOCK_MERGE: '🚫', APPROVED: '✅' }[data.status] || '❓';
+  out += `**Status:** ${statusEmoji} ${(data.status || 'UNKNOWN').replace('_', ' ')} `;
+  out += `(${counts.totalIssues} issue(s), ${counts.highPriorityCount} must fix)\n`;
+
+  return out;
+}
+
+/**
+ * Review a local git range and print the findings
+ */
+async function runReview(options) {
+  applyEnvironment(options);
+
+  // Loaded lazily so the environment above is in place when its config is read
+  const checker = require('./check-pr-standards');
+
+  const { base, head, format } = options;
+  const range = `${base}...${head}`;
+
+  console.log(`🔍 Reviewing ${range} against team standards...\n`);
+
+  const modelId = await checker.resolveModelId();
+  // As in the PR check, ignore files and the baseline come from the base so the range cannot exempt itself
+  checker.useIgnoreFilesAt(base);
+  if (!checker.useBaselineAt(base) && options['baseline-file']) {
+    throw new Error(`No baseline at ${base} for --baseline-file ${options['baseline-file']}; commit the file first`);
+  }
+
+  console.log('📥 Reading local changes...');
+  const prDetails = await checker.getLocalRangeDetails(base, head);
+  if (!prDetails.files.length) {
+    console.log(`✅ No changes between ${base} and ${head}`);
+    return 0;
+  }
+  const diff = await checker.getLocalRangeDiff(base, head);
+
+  console.log('📄 Fetching changed file contents...');
+  const fileContents = await checker.getChangedFileContents(prDetails.files, head);
+  console.log(`  ✓ Retrieved ${Object.keys(fileContents).length} file(s)`);
+
+  console.log('\n🤖 Analyzing changes...');
+  const analysisData = await checker.analyzePullRequest(prDetails, diff, fileContents, modelId);
+  checker.applyBaseline(analysisData, fileContents, prDetails.files.map(f => f.path));
+
+  if (options.sarif) {
+    checker.exportSarif(analysisData, analysisData.model_id, path.resolve(options.sarif));
+  }
+
+  const counts = checker.countIssues(analysisData);
+
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify({ range, modelId: analysisData.model_id, ...analysisData, counts }, null, 2) + '\n');
+  } else if (format === 'markdown') {
+    process.stdout.write(formatMarkdown(analysisData, counts, range));
+  } else {
+    process.stdout.write(formatPretty(analysisData, counts, range));
+  }
+
+  return counts.totalIssues > 0 || counts.shouldBlock ? 1 : 0;
+}
+
+/**
+ * Review the existing code at --head (or only `paths`) and write the baseline of
+ * known findings. Entries of an existing baseline for files outside `paths` are
+ * kept unless their code is gone.
+ */
+async function runBaseline(options, paths) {
+  applyEnvironment(options);
+
+  // Loaded lazily so the environment above is in place when its config is read
+  const checker = require('./check-pr-standards');
+
+  const { head } = options;
+  const baselineFile = path.resolve(options['baseline-file'] || DEFAULT_BASELINE_FILE);
+
+  console.log(`🔍 Reviewing the existing code at ${head}${paths.length ? ` in ${paths.join(', ')}` : ''} for a baseline...\n`);
+
+  const modelId = await checker.resolveModelId();
+
+  console.log('📥 Reading files...');
+  const prDetails = await checker.getLocalSnapshotDetails(head, paths);
+  if (!prDetails.files.length) {
+    console.log(`⚠️  No files to review at ${head}`);
+    return 2;
+  }
+  const diff = await checker.getLocalSnapshotDiff(head, paths);
+
+  console.log('📄 Fetching file contents...');
+  const fileContents = await checker.getChangedFileContents(prDetails.files, head);
+  console.log(`  ✓ Retrieved ${Object.keys(fileContents).length} file(s)`);
+
+  console.log('\n🤖 Analyzing existing code...');
+  const analysisData = await checker.analyzePullRequest(prDetails, diff, fileContents, modelId);
+
+  const contentOf = (contents, filePath) => contents[filePath]?.content;
+  const entries = allFindings(analysisData)
+    .map(f => entryFor(f, contentOf(fileContents, f.path)))
+    .filter(Boolean);
+
+  // Entries for files that were not reviewed this time stay until their code is gone
+  const reviewed = new Set(prDetails.files.map(f => f.path));
+  const others = (loadBaseline(baselineFile)?.entries || []).filter(entry => !reviewed.has(entry.path));
+  const otherContents = others.length
+    ? await checker.getChangedFileContents([...new Set(others.map(e => e.path))].map(p => ({ path: p })), head)
+    : {};
+  const kept = others.filter(entry => !isExpired(entry, contentOf(otherContents, entry.path)));
+
+  const baseline = buildBaseline([...entries, ...kept]);
+  fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+  fs.writeFileSync(baselineFile, JSON.stringify(baseline, null, 2) + '\n');
+
+  const expired = others.length - kept.length;
+  console.log(`\n✅ Wrote ${baseline.entries.length} baseline entr${baseline.entries.length === 1 ? 'y' : 'ies'} to ${path.relative(process.cwd(), baselineFile)}` +
+    ` (${entries.length} from this review, ${kept.length} kept${expired ? `, ${expired} expired` : ''})`);
+  if (analysisData.usage) {
+    console.log(`💰 ${formatUsage(analysisData.usage)}`);
+  }
+  console.log('   Commit the file so later runs leave these findings out.');
+
+  return 0;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, paths, options } = parsed;
+
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    process.stderr.write(`Unknown format: ${options.format} (expected ${FORMATS.join(', ')})\n`);
+    return 2;
+  }
+
+  // Progress messages go to stderr so stdout only carries the report
+  console.log = console.error;
+
+  try {
+    return command === 'baseline' ? await runBaseline(options, paths) : await runReview(options);
+  } catch (error) {
+    console.error('❌ Error during standards review:', error.message);
+    return 2;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,68 @@
+/**
+ * Slash commands in PR comments
+ *
+ * A comment on a pull request whose line starts with `/standards` asks the
+ * checker to do something:
+ *
+ *   /standards recheck           review the PR again
+ *   /standards full              review the whole PR again, not only the commits since the last review
+ *   /standards explain <finding> explain an open finding, given by its thread ID or title
+ *   /standards skip <reason>     record an override: the check passes for the current head commit
+ *
+ * Each command needs a minimum repository role of the commenter. Roles are
+ * ordered as GitHub grants them: read < triage < write < maintain < admin.
+ */
+
+const COMMAND_PREFIX = '/standards';
+
+const ROLES = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+const COMMANDS = {
+  recheck: { role: 'write', description: 'review the PR again' },
+  full: { role: 'write', description: 'review the whole PR again, not only the commits since the last review' },
+  explain: { role: 'write', argument: 'finding', description: 'explain an open finding, given by its thread ID or title' },
+  skip: { role: 'maintain', argument: 'reason', description: 'pass the check for the current commit, recording who skipped it and why' },
+};
+
+/**
+ * Find the command in a comment body.
+ * Returns { name, argument, error } or null when the comment has no command;
+ * `error` is set for unknown commands and missing arguments.
+ */
+function parseCommand(body) {
+  const line = String(body || '')
+    .split('\n')
+    .map(l => l.trim())
+    .find(l => l === COMMAND_PREFIX || l.startsWith(`${COMMAND_PREFIX} `));
+  if (!line) return null;
+
+  const [name = '', ...rest] = line.slice(COMMAND_PREFIX.length).trim().split(/\s+/);
+  const argument = rest.join(' ').trim();
+  const command = COMMANDS[name.toLowerCase()];
+
+  if (!command) {
+    return { name, argument, error: name ? `Unknown command \`${name}\`` : 'No command given' };
+  }
+  if (command.argument && !argument) {
+    return { name: name.toLowerCase(), argument, error: `\`${COMMAND_PREFIX} ${name.toLowerCase()}\` needs a ${command.argument}` };
+  }
+  return { name: name.toLowerCase(), argument, error: null };
+}
+
+/**
+ * Whether a repository role grants at least `required`
+ */
+function roleAllows(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Markdown list of the commands, for replies to unknown commands
+ */
+function formatCommandHelp() {
+  return Object.entries(COMMANDS)
+    .map(([name, command]) => `- \`${COMMAND_PREFIX} ${name}${command.argument ? ` <${command.argument}>` : ''}\` — ${command.description} (${command.role} access)`)
+    .join('\n');
+}
+
+module.exports = { COMMAND_PREFIX, COMMANDS, parseCommand, roleAllows, formatCommandHelp };
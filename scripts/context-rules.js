@@ -0,0 +1,257 @@
+/**
+ * Related-file and pattern-example discovery
+ *
+ * Context rules tell the checker which other files help the model review a
+ * changed file, and which existing file shows the pattern new code should follow:
+ *
+ *   {
+ *     "limits": { "maxRelatedFiles": 20, "maxFileChars": 100000, "relatedExcerptChars": 10000, "exampleChars": 5000 },
+ *     "rules": [
+ *       {
+ *         "name": "handler",
+ *         "when": "app/handlers/{name}.py",
+ *         "related": ["app/schemas/{name}.py", "app/services/{name}_service.py"],
+ *         "example": "app/handlers/_exemplar.py"
+ *       }
+ *     ]
+ *   }
+ *
+ * `when` is a glob over the repository-relative path (`*`, `?` and `**`) in which
+ * `{var}` captures one path segment or part of one. Targets in `related` and
+ * `example` can use the captures plus the built-ins {path}, {dir}, {name} (file
+ * name without extension) and {ext} (without the dot). A variable can be
+ * transformed with a filter: {name|singular}, {name|plural}, {name|camel},
+ * {name|pascal}, {name|snake} or {name|kebab}.
+ *
+ * `example` is a file, a list of files (the first that exists wins), or a
+ * directory ending in `/`, in which case a file with the same extension as the
+ * changed file is picked, preferring one that fits `exampleChars` untruncated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMITS = {
+  maxRelatedFiles: 20,
+  maxFileChars: 100000,
+  relatedExcerptChars: 10000,
+  exampleChars: 5000,
+  // Callers of changed exports (see ./callers); maxCallers 0 turns the scan off
+  maxCallers: 10,
+  maxCallerChars: 20000,
+  callerContextLines: 3,
+};
+
+const FILTERS = {
+  singular: s => s.replace(/ies$/, 'y').replace(/(s|x|z|ch|sh)es$/, '$1').replace(/([^s])s$/, '$1'),
+  plural: s => (/(s|x|z|ch|sh)$/.test(s) ? `${s}es` : /[^aeiou]y$/.test(s) ? s.replace(/y$/, 'ies') : `${s}s`),
+  camel: s => words(s).map((w, i) => (i === 0 ? w : capitalize(w))).join(''),
+  pascal: s => words(s).map(capitalize).join(''),
+  snake: s => words(s).join('_'),
+  kebab: s => words(s).join('-'),
+};
+
+function words(s) {
+  return s
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_.-]+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase());
+}
+
+function capitalize(w) {
+  return w.charAt(0).toUpperCase() + w.slice(1);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Compile a `when` glob into a regex with named groups for its {var} captures
+ */
+function compileWhen(glob) {
+  let re = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    const capture = glob.slice(i).match(/^\{([A-Za-z_]\w*)\}/);
+
+    if (capture) {
+      re += `(?<${capture[1]}>[^/]+?)`;
+      i += capture[0].length - 1;
+    } else if (glob.startsWith('**/', i)) {
+      re += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      re += '.*';
+      i += 1;
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += escapeRegex(ch);
+    }
+  }
+
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Replace {var} and {var|filter} in a target with values from `vars`.
+ * Returns null when a variable is unknown.
+ */
+function substitute(template, vars) {
+  let missing = false;
+
+  const result = template.replace(/\{([A-Za-z_]\w*)(?:\|(\w+))?\}/g, (_, name, filter) => {
+    if (!(name in vars)) {
+      missing = true;
+      return '';
+    }
+    const value = vars[name];
+    if (!filter) return value;
+    if (!FILTERS[filter]) throw new Error(`Unknown filter "${filter}" in "${template}"`);
+    return FILTERS[filter](value);
+  });
+
+  return missing ? null : result;
+}
+
+/**
+ * Read a context rules file. A missing or invalid file yields no rules.
+ */
+function loadContextRules(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not load context rules ${filePath}: ${error.message}`);
+    return { rules: [] };
+  }
+}
+
+/**
+ * Create a resolver for context rules.
+ *
+ * Options:
+ *   rootDir  repository root that paths are relative to (default: cwd)
+ *
+ * Returns { limits, relatedFor(filePath), examplesFor(changedPaths) }.
+ */
+function createContextResolver(config, { rootDir = process.cwd() } = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...(config.limits || {}) };
+  const rules = [];
+
+  for (const [index, rule] of (config.rules || []).entries()) {
+    if (!rule.when) {
+      console.warn(`⚠️  Context rule ${rule.name || index + 1} has no "when" pattern and is skipped`);
+      continue;
+    }
+    rules.push({
+      name: rule.name || `rule-${index + 1}`,
+      when: compileWhen(rule.when),
+      related: [].concat(rule.related || []),
+      example: rule.example || null,
+    });
+  }
+
+  // Variables for a changed file matched by a rule, or null if it does not match
+  const matchRule = (rule, filePath) => {
+    const match = filePath.match(rule.when);
+    if (!match) return null;
+    const ext = path.extname(filePath);
+    return {
+      path: filePath,
+      dir: path.posix.dirname(filePath),
+      name: path.basename(filePath, ext),
+      ext: ext.slice(1),
+      ...(match.groups || {}),
+    };
+  };
+
+  const isFile = relPath => {
+    try {
+      return fs.statSync(path.join(rootDir, relPath)).isFile();
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Pick an example from a directory: same extension, not part of the PR, preferring one that fits untruncated
+  const pickFromDirectory = (dir, ext, changedPaths) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true });
+    } catch (error) {
+      return null;
+    }
+
+    const candidates = entries
+      .filter(entry => entry.isFile() && path.extname(entry.name) === ext)
+      .map(entry => path.posix.join(dir, entry.name))
+      .filter(candidate => !changedPaths.includes(candidate))
+      .sort();
+
+    const sizeOf = candidate => fs.statSync(path.join(rootDir, candidate)).size;
+    return candidates.find(candidate => sizeOf(candidate) <= limits.exampleChars) || candidates[0] || null;
+  };
+
+  return {
+    limits,
+
+    /**
+     * Existing files related to a changed file, in rule order without duplicates
+     */
+    relatedFor(filePath) {
+      const related = [];
+      for (const rule of rules) {
+        const vars = matchRule(rule, filePath);
+        if (!vars) continue;
+        for (const target of rule.related) {
+          const relatedPath = substitute(target, vars);
+          if (relatedPath && relatedPath !== filePath && !related.includes(relatedPath) && isFile(relatedPath)) {
+            related.push(relatedPath);
+          }
+        }
+      }
+      return related;
+    },
+
+    /**
+     * One pattern example per matching rule for a set of changed files.
+     * Returns [{ rule, path }].
+     */
+    examplesFor(changedPaths) {
+      const examples = [];
+
+      for (const rule of rules) {
+        if (!rule.example) continue;
+
+        for (const filePath of changedPaths) {
+          const vars = matchRule(rule, filePath);
+          if (!vars) continue;
+
+          let examplePath = null;
+          for (const target of [].concat(rule.example)) {
+            const candidate = substitute(target, vars);
+            if (!candidate) continue;
+            examplePath = candidate.endsWith('/')
+              ? pickFromDirectory(candidate.replace(/\/+$/, ''), path.extname(filePath), changedPaths)
+              : (isFile(candidate) && !changedPaths.includes(candidate) ? candidate : null);
+            if (examplePath) break;
+          }
+
+          if (examplePath) {
+            examples.push({ rule: rule.name, path: examplePath });
+            break;
+          }
+        }
+      }
+
+      return examples;
+    },
+  };
+}
+
+module.exports = { DEFAULT_LIMITS, createContextResolver, loadContextRules, compileWhen, substitute };
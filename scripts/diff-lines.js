@@ -0,0 +1,149 @@
+/**
+ * Diff line maps and inline comment placement
+ *
+ * GitHub anchors review comments to lines of the diff on one of two sides:
+ * RIGHT for lines of the new file (added or unchanged) and LEFT for lines of the
+ * old file (deleted or unchanged). A multi-line comment spans `start_line` to
+ * `line` on one side and must stay within a single hunk.
+ *
+ * Findings use the same fields: `line`, an optional `start_line` for a range and
+ * an optional `side` (RIGHT by default) for findings about removed code.
+ */
+
+/**
+ * Parse a unified diff into the lines that can receive inline review comments:
+ * Map<filePath, { LEFT, RIGHT }>, where each side is a Map<lineNumber, { text, hunk }>.
+ * LEFT uses old-file line numbers, RIGHT new-file line numbers. Deleted files are
+ * keyed by their old path, everything else by the new path.
+ */
+function parseDiffForValidLines(diff) {
+  const validLines = new Map();
+  let oldPath = null;
+  let lines = null;
+  let oldLineNum = 0;
+  let newLineNum = 0;
+  let hunk = 0;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      oldPath = null;
+      lines = null;
+      continue;
+    }
+
+    const oldMatch = line.match(/^--- a\/(.+)$/);
+    if (oldMatch && !lines) {
+      oldPath = oldMatch[1];
+      continue;
+    }
+
+    const newMatch = line.match(/^\+\+\+ (?:b\/(.+)|\/dev\/null)$/);
+    if (newMatch && !lines) {
+      const filePath = newMatch[1] || oldPath;
+      if (!validLines.has(filePath)) validLines.set(filePath, { LEFT: new Map(), RIGHT: new Map() });
+      lines = validLines.get(filePath);
+      continue;
+    }
+
+    const hunkMatch = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunkMatch) {
+      oldLineNum = parseInt(hunkMatch[1], 10) - 1;
+      newLineNum = parseInt(hunkMatch[2], 10) - 1;
+      hunk++;
+      continue;
+    }
+
+    if (!lines) continue;
+
+    const text = line.slice(1);
+    if (line.startsWith('+')) {
+      lines.RIGHT.set(++newLineNum, { text, hunk });
+    } else if (line.startsWith('-')) {
+      lines.LEFT.set(++oldLineNum, { text, hunk });
+    } else if (line.startsWith(' ')) {
+      lines.LEFT.set(++oldLineNum, { text, hunk });
+      lines.RIGHT.set(++newLineNum, { text, hunk });
+    }
+    // "\ No newline at end of file" belongs to neither side
+  }
+
+  return validLines;
+}
+
+/**
+ * Parse a unified diff and return a Map<filePath, Set<lineNumber>> of lines the diff adds
+ */
+function parseDiffForAddedLines(diff) {
+  const addedLines = new Map();
+  let currentFile = null;
+  let newLineNum = 0;
+
+  for (const line of diff.split('\n')) {
+    const fileMatch = line.match(/^\+\+\+ b\/(.+)$/);
+    if (fileMatch) {
+      currentFile = fileMatch[1];
+      if (!addedLines.has(currentFile)) addedLines.set(currentFile, new Set());
+      continue;
+    }
+
+    const hunkMatch = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunkMatch) {
+      newLineNum = parseInt(hunkMatch[1], 10) - 1;
+      continue;
+    }
+
+    if (!currentFile) continue;
+
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      newLineNum++;
+      addedLines.get(currentFile).add(newLineNum);
+    } else if (line.startsWith(' ')) {
+      newLineNum++;
+    }
+  }
+
+  return addedLines;
+}
+
+/**
+ * Side and line range of a finding: { side, startLine, line }.
+ * A missing or invalid `start_line` makes it a single-line finding.
+ */
+function findingRange(finding) {
+  const side = String(finding.side || '').toUpperCase() === 'LEFT' ? 'LEFT' : 'RIGHT';
+  const line = parseInt(finding.line, 10);
+  const startLine = parseInt(finding.start_line, 10);
+  return { side, startLine: startLine < line ? startLine : line, line };
+}
+
+/**
+ * Review comment location for a finding ({ path, line, side, start_line?, start_side? }),
+ * or null if its line is not in the diff. A range whose start is outside the
+ * diff or in another hunk is narrowed to its last line.
+ */
+function placeComment(finding, validLines) {
+  const { side, startLine, line } = findingRange(finding);
+  const lines = validLines.get(finding.path)?.[side];
+  const end = lines?.get(line);
+  if (!end) return null;
+
+  const comment = { path: finding.path, line, side };
+  const start = startLine < line ? lines.get(startLine) : null;
+  if (start && start.hunk === end.hunk) {
+    comment.start_line = startLine;
+    comment.start_side = side;
+  }
+  return comment;
+}
+
+/**
+ * Human-readable location of a finding, e.g. `src/a.ts:10-14` or `src/a.ts:7 (removed)`
+ */
+function formatLocation(finding) {
+  const { side, startLine, line } = findingRange(finding);
+  if (!Number.isInteger(line)) return `${finding.path}:${finding.line}`;
+  const lines = startLine < line ? `${startLine}-${line}` : `${line}`;
+  return `${finding.path}:${lines}${side === 'LEFT' ? ' (removed)' : ''}`;
+}
+
+module.exports = { parseDiffForValidLines, parseDiffForAddedLines, findingRange, placeComment, formatLocation };
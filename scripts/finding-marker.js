@@ -0,0 +1,56 @@
+/**
+ * Finding fingerprints and the hidden marker on inline comments
+ *
+ * Every inline comment ends with a marker recording the finding it was posted
+ * for, so later runs can match findings to the checker's threads without
+ * comparing titles:
+ *
+ *   <!-- pr-standards:finding fp=3f2a… rule=security.sql-injection-prevention sha=9c1e… -->
+ *
+ * Replies the checker posts on its threads carry REPLY_MARKER. Markers are only
+ * trusted in comments by the account that posts the reviews.
+ */
+
+const crypto = require('crypto');
+
+const FINDING_MARKER = /<!-- pr-standards:finding ([^>]*?) -->/;
+const REPLY_MARKER = '<!-- pr-standards:reply -->';
+
+/**
+ * Stable fingerprint of a finding: its file, rule and normalized title
+ */
+function fingerprint(finding) {
+  const normTitle = String(finding.title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto
+    .createHash('sha256')
+    .update(`${finding.path}\0${finding.rule_id || ''}\0${normTitle}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Marker for a finding posted on commit `sha`
+ */
+function buildFindingMarker(finding, sha) {
+  const fields = { fp: fingerprint(finding), rule: finding.rule_id, sha };
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return `<!-- pr-standards:finding ${pairs.join(' ')} -->`;
+}
+
+/**
+ * Fields of the finding marker in a comment body ({ fp, rule, sha }), or null if there is none
+ */
+function parseFindingMarker(body) {
+  const match = (body || '').match(FINDING_MARKER);
+  if (!match) return null;
+  const fields = {};
+  for (const pair of match[1].split(/\s+/)) {
+    const [key, value] = pair.split('=');
+    if (key && value) fields[key] = decodeURIComponent(value);
+  }
+  return fields.fp ? fields : null;
+}
+
+module.exports = { REPLY_MARKER, fingerprint, buildFindingMarker, parseFindingMarker };
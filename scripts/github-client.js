@@ -0,0 +1,395 @@
+/**
+ * GitHub API client
+ *
+ * All GitHub calls made by the checker go through this module. It wraps an
+ * Octokit instance (from @actions/github) with:
+ *   - full pagination for REST lists and GraphQL connections
+ *   - primary and secondary rate-limit handling (wait and retry)
+ *   - automatic retries of transient server errors
+ *   - a configurable API base URL for GitHub Enterprise Server
+ */
+
+const github = require('@actions/github');
+const { retry } = require('@octokit/plugin-retry');
+const { throttling } = require('@octokit/plugin-throttling');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Page size for GraphQL connections (GitHub's maximum)
+const PAGE_SIZE = 100;
+
+// GitHub accepts at most this many check run annotations per request
+const ANNOTATIONS_PER_REQUEST = 50;
+
+// Client errors that will not succeed on retry (406 is GitHub refusing an oversized diff)
+const DO_NOT_RETRY = [400, 401, 403, 404, 406, 410, 422, 451];
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: ${PAGE_SIZE}, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            path
+            line
+            startLine
+            diffSide
+            comments(first: ${PAGE_SIZE}) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                databaseId
+                body
+                createdAt
+                author { login }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const REVIEWS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviews(first: ${PAGE_SIZE}, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            databaseId
+            body
+            isMinimized
+            author { login }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const THREAD_COMMENTS_QUERY = `
+  query($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on PullRequestReviewThread {
+        comments(first: ${PAGE_SIZE}, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            databaseId
+            body
+            createdAt
+            author { login }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Create a GitHub client bound to one repository and pull request.
+ *
+ * Options:
+ *   token        GitHub token (GITHUB_TOKEN, app token or PAT)
+ *   repository   "owner/repo"
+ *   prNumber     pull request number
+ *   apiUrl       REST API base URL, e.g. https://ghe.example.com/api/v3 (default: GITHUB_API_URL or api.github.com)
+ *   maxRetries   retries for rate limits and transient errors (default: 3)
+ */
+function createGitHubClient({ token, repository, prNumber, apiUrl, maxRetries = 3 }) {
+  const [owner, repo] = (repository || '').split('/');
+  const pull_number = parseInt(prNumber, 10);
+
+  const octokit = github.getOctokit(
+    token,
+    {
+      baseUrl: (apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+      retry: { retries: maxRetries, doNotRetry: DO_NOT_RETRY },
+      throttle: {
+        onRateLimit: (retryAfter, options, _octokit, retryCount) => {
+          console.warn(`⚠️  GitHub rate limit hit for ${options.method} ${options.url}, retrying in ${retryAfter}s`);
+          return retryCount < maxRetries;
+        },
+        onSecondaryRateLimit: (retryAfter, options, _octokit, retryCount) => {
+          console.warn(`⚠️  GitHub secondary rate limit hit for ${options.method} ${options.url}, retrying in ${retryAfter}s`);
+          return retryCount < maxRetries;
+        },
+      },
+    },
+    retry,
+    throttling
+  );
+
+  /**
+   * Fetch every remaining comment of a review thread whose first page was truncated
+   */
+  async function getRemainingThreadComments(threadId, cursor) {
+    const comments = [];
+    let after = cursor;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await octokit.graphql(THREAD_COMMENTS_QUERY, { id: threadId, cursor: after });
+      const connection = data.node.comments;
+      comments.push(...connection.nodes);
+      hasNextPage = connection.pageInfo.hasNextPage;
+      after = connection.pageInfo.endCursor;
+    }
+
+    return comments;
+  }
+
+  return {
+    octokit,
+    owner,
+    repo,
+    prNumber: pull_number,
+
+    /**
+     * Get the pull request, including base/head refs and SHAs
+     */
+    async getPullRequest() {
+      const { data } = await octokit.rest.pulls.get({ owner, repo, pull_number });
+      return data;
+    },
+
+    /**
+     * List every file changed in the pull request
+     */
+    async listPullRequestFiles() {
+      return octokit.paginate(octokit.rest.pulls.listFiles, { owner, repo, pull_number, per_page: 100 });
+    },
+
+    /**
+     * Get the unified diff of the pull request.
+     * GitHub refuses very large diffs (HTTP 406); callers should fall back to git.
+     */
+    async getPullRequestDiff() {
+      const { data } = await octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number,
+        mediaType: { format: 'diff' },
+      });
+      return data;
+    },
+
+    /**
+     * Post a conversation comment on the pull request
+     */
+    async createIssueComment(body) {
+      const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number: pull_number, body });
+      return data;
+    },
+
+    /**
+     * Add a reaction (e.g. +1, -1, eyes, confused) to a conversation comment
+     */
+    async addIssueCommentReaction(commentId, content) {
+      const { data } = await octokit.rest.reactions.createForIssueComment({ owner, repo, comment_id: commentId, content });
+      return data;
+    },
+
+    /**
+     * A user's role on the repository: admin, maintain, write, triage, read or none
+     */
+    async getRepositoryRole(username) {
+      const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+      return data.role_name || data.permission;
+    },
+
+    /**
+     * List every conversation comment on the pull request, oldest first
+     */
+    async listIssueComments() {
+      return octokit.paginate(octokit.rest.issues.listComments, { owner, repo, issue_number: pull_number, per_page: 100 });
+    },
+
+    /**
+     * Replace the body of a conversation comment
+     */
+    async updateIssueComment(commentId, body) {
+      const { data } = await octokit.rest.issues.updateComment({ owner, repo, comment_id: commentId, body });
+      return data;
+    },
+
+    /**
+     * Submit a review with optional inline comments
+     */
+    async createReview({ body, event, comments }) {
+      const { data } = await octokit.rest.pulls.createReview({ owner, repo, pull_number, body, event, comments });
+      return data;
+    },
+
+    /**
+     * List every review submitted on the pull request, oldest first
+     */
+    async listReviews() {
+      return octokit.paginate(octokit.rest.pulls.listReviews, { owner, repo, pull_number, per_page: 100 });
+    },
+
+    /**
+     * Dismiss a review with a message (only reviews that approved or requested changes can be dismissed)
+     */
+    async dismissReview(reviewId, message) {
+      const { data } = await octokit.rest.pulls.dismissReview({ owner, repo, pull_number, review_id: reviewId, message });
+      return data;
+    },
+
+    /**
+     * Reply to an inline review comment
+     */
+    async replyToReviewComment(commentId, body) {
+      const { data } = await octokit.rest.pulls.createReplyForReviewComment({
+        owner,
+        repo,
+        pull_number,
+        comment_id: commentId,
+        body,
+      });
+      return data;
+    },
+
+    /**
+     * Fetch every review thread on the pull request with all of its comments.
+     * Both the thread connection and each thread's comments are paginated.
+     */
+    async getReviewThreads() {
+      const threads = [];
+      let cursor = null;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const data = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, number: pull_number, cursor });
+        const connection = data.repository.pullRequest.reviewThreads;
+
+        for (const thread of connection.nodes) {
+          const comments = [...thread.comments.nodes];
+          if (thread.comments.pageInfo.hasNextPage) {
+            comments.push(...await getRemainingThreadComments(thread.id, thread.comments.pageInfo.endCursor));
+          }
+          threads.push({ ...thread, comments });
+        }
+
+        hasNextPage = connection.pageInfo.hasNextPage;
+        cursor = connection.pageInfo.endCursor;
+      }
+
+      return threads;
+    },
+
+    /**
+     * Fetch every review on the pull request with its GraphQL node ID and whether it is minimized
+     */
+    async getReviewNodes() {
+      const reviews = [];
+      let cursor = null;
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const data = await octokit.graphql(REVIEWS_QUERY, { owner, repo, number: pull_number, cursor });
+        const connection = data.repository.pullRequest.reviews;
+        reviews.push(...connection.nodes);
+        hasNextPage = connection.pageInfo.hasNextPage;
+        cursor = connection.pageInfo.endCursor;
+      }
+
+      return reviews;
+    },
+
+    /**
+     * Hide a comment or review body, e.g. as OUTDATED
+     */
+    async minimizeComment(nodeId, classifier = 'OUTDATED') {
+      await octokit.graphql(
+        `mutation($id: ID!, $classifier: ReportedContentClassifiers!) {
+          minimizeComment(input: { subjectId: $id, classifier: $classifier }) {
+            minimizedComment { isMinimized }
+          }
+        }`,
+        { id: nodeId, classifier }
+      );
+    },
+
+    /**
+     * Resolve a review thread
+     */
+    async resolveReviewThread(threadId) {
+      await octokit.graphql(
+        `mutation($id: ID!) {
+          resolveReviewThread(input: { threadId: $id }) {
+            thread { isResolved }
+          }
+        }`,
+        { id: threadId }
+      );
+    },
+
+    /**
+     * Create a check run on a commit (requires the `checks: write` permission)
+     */
+    async createCheckRun({ name, headSha, ...fields }) {
+      const { data } = await octokit.rest.checks.create({ owner, repo, name, head_sha: headSha, ...fields });
+      return data;
+    },
+
+    /**
+     * Update a check run. Annotations beyond the per-request limit are sent in
+     * extra updates first; the other fields (e.g. the conclusion) go with the last one.
+     */
+    async updateCheckRun(checkRunId, { output, ...fields }) {
+      const update = params => octokit.rest.checks.update({ owner, repo, check_run_id: checkRunId, ...params });
+
+      const annotations = output?.annotations || [];
+      const batches = [];
+      for (let start = 0; start < annotations.length; start += ANNOTATIONS_PER_REQUEST) {
+        batches.push(annotations.slice(start, start + ANNOTATIONS_PER_REQUEST));
+      }
+      const last = batches.pop() || [];
+      for (const batch of batches) {
+        await update({ output: { ...output, annotations: batch } });
+      }
+
+      const { data } = await update({ ...fields, ...(output && { output: { ...output, annotations: last } }) });
+      return data;
+    },
+
+    /**
+     * Create a label if it does not exist yet (existing labels are left as they are)
+     */
+    async ensureLabel(name, color, description) {
+      try {
+        await octokit.rest.issues.getLabel({ owner, repo, name });
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        await octokit.rest.issues.createLabel({ owner, repo, name, color, description });
+      }
+    },
+
+    /**
+     * Add a label to the pull request
+     */
+    async addLabel(name) {
+      await octokit.rest.issues.addLabels({ owner, repo, issue_number: pull_number, labels: [name] });
+    },
+
+    /**
+     * Remove a label from the pull request. Returns false if it was not applied.
+     */
+    async removeLabel(name) {
+      try {
+        await octokit.rest.issues.removeLabel({ owner, repo, issue_number: pull_number, name });
+        return true;
+      } catch (error) {
+        if (error.status === 404) return false;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = { createGitHubClient };
@@ -0,0 +1,301 @@
+/**
+ * gitignore-style path matching
+ *
+ * Implements the pattern semantics of .gitignore for the ignore config's
+ * `ignorePatterns` and for `.standardsignore` files:
+ *   - blank lines and `#` comments are skipped (`\#` and `\!` escape them)
+ *   - `!pattern` re-includes a path excluded by an earlier pattern
+ *   - a trailing `/` only matches directories
+ *   - a pattern with a `/` at the start or middle is anchored to its base directory;
+ *     otherwise it matches at any depth (`*.min.js` matches `a/b/c.min.js`)
+ *   - `*`, `?`, `[abc]`/`[!abc]`, and `**` as a leading, trailing or middle path segment
+ *   - brace sets `{a,b}` (an extension; git itself does not support them)
+ *   - the last matching pattern wins, and a file cannot be re-included when one of
+ *     its parent directories is excluded
+ *
+ * `.standardsignore` files can be placed in any directory. Their patterns are
+ * relative to that directory and take precedence over those of parent directories,
+ * which in turn take precedence over the ignore config's `ignorePatterns`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_IGNORE_FILE_NAME = '.standardsignore';
+
+/**
+ * Expand brace sets: "src/*.{js,ts}" => ["src/*.js", "src/*.ts"]. Nested sets are supported.
+ */
+function expandBraces(pattern) {
+  let depth = 0;
+  let start = -1;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (ch === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        const body = pattern.slice(start + 1, i);
+        const options = splitTopLevel(body);
+        // "{x}" without a comma is literal, as in most shells
+        if (options.length < 2) continue;
+        const prefix = pattern.slice(0, start);
+        const suffix = pattern.slice(i + 1);
+        return options.flatMap(option => expandBraces(prefix + option + suffix));
+      }
+    }
+  }
+
+  return [pattern];
+}
+
+/**
+ * Split a brace body on commas that are not inside nested braces
+ */
+function splitTopLevel(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') {
+      current += ch + (body[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Translate a glob (without leading/trailing slash handling) into a regex source
+ */
+function globToRegex(glob) {
+  let re = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === '\\') {
+      re += escapeRegex(glob[i + 1] || '');
+      i++;
+    } else if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0;
+        const afterSlash = glob[i - 1] === '/';
+        const beforeSlash = glob[i + 2] === '/';
+        const atEnd = i + 2 === glob.length;
+
+        if (atStart && beforeSlash) {
+          // "**/x": x at any depth
+          re += '(?:.*/)?';
+          i += 2;
+        } else if (afterSlash && beforeSlash) {
+          // "a/**/b": zero or more directories in between
+          re += '(?:.*/)?';
+          i += 2;
+        } else if (afterSlash && atEnd) {
+          // "a/**": everything inside a
+          re += '.+';
+          i += 1;
+        } else {
+          re += '[^/]*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        re += '\\[';
+      } else {
+        let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+        re += `[${cls}]`;
+        i = end;
+      }
+    } else {
+      re += escapeRegex(ch);
+    }
+  }
+
+  return re;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Parse gitignore-style lines into rules relative to `baseDir` ('' for the repo root).
+ * Each rule is { negate, dirOnly, regex, baseDir, source }.
+ */
+function parseIgnorePatterns(lines, baseDir = '') {
+  const rules = [];
+
+  for (const rawLine of lines) {
+    // Trailing whitespace is insignificant unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+    if (!line) continue;
+
+    for (const pattern of expandBraces(line)) {
+      const anchored = pattern.includes('/');
+      const body = globToRegex(pattern.replace(/^\//, ''));
+      const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+      rules.push({ negate, dirOnly, regex, baseDir, source: rawLine.trim() });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Last-match-wins evaluation of rules against one path.
+ * Returns true (ignored), false (re-included) or null (no rule matched).
+ */
+function evaluate(rules, relPath, isDir) {
+  let result = null;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+
+    let candidate = relPath;
+    if (rule.baseDir) {
+      if (!relPath.startsWith(rule.baseDir + '/')) continue;
+      candidate = relPath.slice(rule.baseDir.length + 1);
+    }
+
+    if (rule.regex.test(candidate)) {
+      result = !rule.negate;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create a matcher for repository-relative paths.
+ *
+ * Options:
+ *   patterns        root-level patterns (the ignore config's `ignorePatterns`)
+ *   rootDir         repository root used to find ignore files (default: cwd)
+ *   ignoreFileName  per-directory ignore file name (default: .standardsignore)
+ *   readIgnoreFile  reads an ignore file by repository-relative path, returning
+ *                   its text or null when there is none (default: read from rootDir)
+ */
+function createIgnoreMatcher({
+  patterns = [],
+  rootDir = process.cwd(),
+  ignoreFileName = DEFAULT_IGNORE_FILE_NAME,
+  readIgnoreFile = relPath => {
+    const filePath = path.join(rootDir, relPath);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  },
+} = {}) {
+  const baseRules = parseIgnorePatterns(patterns, '');
+  const dirRuleCache = new Map();
+
+  // Rules from the ignore file in one directory ('' = repo root), read once
+  const rulesForDir = dir => {
+    if (!dirRuleCache.has(dir)) {
+      let rules = [];
+      const relPath = path.posix.join(dir, ignoreFileName);
+      try {
+        const text = readIgnoreFile(relPath);
+        if (text !== null) {
+          rules = parseIgnorePatterns(text.split(/\r?\n/), dir);
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not read ${relPath}: ${error.message}`);
+      }
+      dirRuleCache.set(dir, rules);
+    }
+    return dirRuleCache.get(dir);
+  };
+
+  // Rules that apply inside `dir`, ordered from lowest to highest precedence
+  const rulesInScope = dir => {
+    const rules = [...baseRules, ...rulesForDir('')];
+    const segments = dir ? dir.split('/') : [];
+    for (let i = 1; i <= segments.length; i++) {
+      rules.push(...rulesForDir(segments.slice(0, i).join('/')));
+    }
+    return rules;
+  };
+
+  return {
+    /**
+     * Whether a repository-relative file path is ignored
+     */
+    ignores(filePath) {
+      const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+      const segments = normalized.split('/');
+
+      // A file cannot be re-included if any parent directory is excluded
+      for (let i = 1; i < segments.length; i++) {
+        const dir = segments.slice(0, i).join('/');
+        if (evaluate(rulesInScope(segments.slice(0, i - 1).join('/')), dir, true) === true) {
+          return true;
+        }
+      }
+
+      return evaluate(rulesInScope(segments.slice(0, -1).join('/')), normalized, false) === true;
+    },
+  };
+}
+
+/**
+ * Compile a single pattern (same syntax, no negation) into a predicate on
+ * repository-relative file paths. A path matches when the pattern matches the
+ * file itself or one of its parent directories, so `/frontend/` covers every
+ * file below frontend.
+ */
+function createPathPattern(pattern) {
+  const rules = parseIgnorePatterns([pattern.replace(/^!/, '')]);
+
+  return filePath => {
+    const segments = filePath.replace(/\\/g, '/').replace(/^\.\//, '').split('/');
+    for (let i = 1; i < segments.length; i++) {
+      if (evaluate(rules, segments.slice(0, i).join('/'), true)) return true;
+    }
+    return evaluate(rules, segments.join('/'), false) === true;
+  };
+}
+
+module.exports = { createIgnoreMatcher, createPathPattern, parseIgnorePatterns };
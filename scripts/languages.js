@@ -0,0 +1,155 @@
+/**
+ * Language registry
+ *
+ * Maps file extensions (and a few well-known file names) to what the checker
+ * needs to know about a language:
+ *   fence      code fence language used when showing the file to the model
+ *   comment    line comment prefix, or [open, close] for block-only languages;
+ *              used for the placeholders of lines hidden by suppression markers.
+ *              null for languages without comments (JSON), whose files have no
+ *              suppression markers
+ *   standards  optional standards pack that applies to files of the language
+ *
+ * Only files of a registered language have their full contents sent for review;
+ * other files are reviewed from the diff alone. Teams can add languages or
+ * override built-in ones with a JSON file:
+ *
+ *   {
+ *     "languages": {
+ *       "kotlin": { "standards": ".github/standards/kotlin.md" },
+ *       "scala": { "extensions": [".scala", ".sc"], "fence": "scala", "comment": "//" },
+ *       "json": { "enabled": false }
+ *     }
+ *   }
+ *
+ * Overrides are merged into the built-in entry of the same name. Standards
+ * paths in the config are relative to the repository root; `"standards": null`
+ * turns a built-in pack off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Built-in standards packs live in the action's defaults directory
+const DEFAULT_PACKS_DIR = path.join(__dirname, '..', 'defaults');
+
+const DEFAULT_LANGUAGES = {
+  javascript: { extensions: ['.js', '.jsx', '.mjs', '.cjs'], fence: 'javascript', comment: '//' },
+  typescript: { extensions: ['.ts', '.tsx', '.mts', '.cts'], fence: 'typescript', comment: '//' },
+  json: { extensions: ['.json'], fence: 'json', comment: null },
+  sql: { extensions: ['.sql'], fence: 'sql', comment: '--' },
+  yaml: { extensions: ['.yml', '.yaml'], fence: 'yaml', comment: '#' },
+  python: { extensions: ['.py', '.pyi'], fence: 'python', comment: '#', standards: 'standards/python.md' },
+  go: { extensions: ['.go'], fence: 'go', comment: '//', standards: 'standards/go.md' },
+  kotlin: { extensions: ['.kt', '.kts'], fence: 'kotlin', comment: '//', standards: 'standards/kotlin.md' },
+  java: { extensions: ['.java'], fence: 'java', comment: '//' },
+  terraform: { extensions: ['.tf', '.tfvars'], fence: 'hcl', comment: '#', standards: 'standards/terraform.md' },
+  shell: { extensions: ['.sh', '.bash'], fence: 'bash', comment: '#' },
+  dockerfile: { extensions: ['.dockerfile'], filenames: ['Dockerfile'], fence: 'dockerfile', comment: '#' },
+};
+
+/**
+ * Normalize comment syntax to [open, close], or null for a language without comments
+ */
+function commentDelimiters(comment) {
+  if (comment === null) return null;
+  if (Array.isArray(comment)) return [comment[0], ` ${comment[1]}`];
+  return [comment || '//', ''];
+}
+
+/**
+ * Read a language config file. A missing or invalid file yields no overrides.
+ */
+function loadLanguageConfig(filePath) {
+  try {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return config.languages || {};
+  } catch (error) {
+    console.warn(`⚠️  Could not load language config ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Create the language registry.
+ *
+ * Options:
+ *   overrides        languages from the team's config, keyed by name
+ *   rootDir          repository root that config standards paths are relative to (default: cwd)
+ *   useDefaultPacks  include the built-in standards packs (default: true)
+ *
+ * Each language is { name, extensions, filenames, fence, comment, standards }, where
+ * standards is null or { path, relPath, builtIn }.
+ */
+function createLanguageRegistry({ overrides = {}, rootDir = process.cwd(), useDefaultPacks = true } = {}) {
+  const languages = [];
+
+  for (const name of new Set([...Object.keys(DEFAULT_LANGUAGES), ...Object.keys(overrides)])) {
+    const builtIn = DEFAULT_LANGUAGES[name] || {};
+    const override = overrides[name] || {};
+    const merged = { ...builtIn, ...override };
+    if (merged.enabled === false) continue;
+
+    let standards = null;
+    if ('standards' in override) {
+      if (override.standards) {
+        const relPath = override.standards.replace(/^\.?\//, '');
+        standards = { path: path.join(rootDir, relPath), relPath, builtIn: false };
+      }
+    } else if (builtIn.standards && useDefaultPacks) {
+      standards = { path: path.join(DEFAULT_PACKS_DIR, builtIn.standards), relPath: `defaults/${builtIn.standards}`, builtIn: true };
+    }
+
+    languages.push({
+      name,
+      extensions: (merged.extensions || []).map(ext => ext.toLowerCase()),
+      filenames: merged.filenames || [],
+      fence: merged.fence || name,
+      comment: commentDelimiters(merged.comment),
+      standards,
+    });
+  }
+
+  // Languages in the team config claim an extension or file name over built-in
+  // ones, so they are registered last. A file name match wins over an extension.
+  const byExtension = new Map();
+  const byFilename = new Map();
+  const registrationOrder = [
+    ...languages.filter(language => !(language.name in overrides)),
+    ...languages.filter(language => language.name in overrides),
+  ];
+  for (const language of registrationOrder) {
+    for (const ext of language.extensions) byExtension.set(ext, language);
+    for (const filename of language.filenames) byFilename.set(filename, language);
+  }
+
+  return {
+    languages,
+
+    /**
+     * Language of a file path, or null if it is not registered
+     */
+    languageFor(filePath) {
+      const baseName = path.basename(filePath);
+      return byFilename.get(baseName) || byExtension.get(path.extname(baseName).toLowerCase()) || null;
+    },
+
+    /**
+     * Code fence language for a file ('' when unknown)
+     */
+    fenceFor(filePath) {
+      return this.languageFor(filePath)?.fence || '';
+    },
+
+    /**
+     * Comment delimiters [open, close] for a file, defaulting to // for unregistered
+     * files; null when the file's language has no comments
+     */
+    commentFor(filePath) {
+      const language = this.languageFor(filePath);
+      return language ? language.comment : commentDelimiters('//');
+    },
+  };
+}
+
+module.exports = { DEFAULT_LANGUAGES, createLanguageRegistry, loadLanguageConfig };
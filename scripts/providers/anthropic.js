@@ -0,0 +1,48 @@
+/**
+ * Anthropic Messages API provider
+ */
+
+const { postJSON } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL_ID = 'claude-opus-4-6';
+
+/**
+ * Create an Anthropic Messages API provider
+ */
+function createAnthropicProvider({ apiKey, baseUrl }) {
+  if (!apiKey) {
+    throw new Error('The anthropic provider requires an API key (api-key input or ANTHROPIC_API_KEY)');
+  }
+
+  const url = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/v1/messages`;
+
+  return {
+    name: 'anthropic',
+    defaultModelId: DEFAULT_MODEL_ID,
+
+    async complete({ modelId, prompt, messages, maxTokens, signal }) {
+      const responseBody = await postJSON(
+        url,
+        { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+        {
+          model: modelId,
+          max_tokens: maxTokens,
+          messages: messages || [{ role: 'user', content: prompt }],
+        },
+        signal
+      );
+
+      return {
+        text: (responseBody.content || []).filter(c => c.type === 'text').map(c => c.text).join(''),
+        stopReason: responseBody.stop_reason,
+        usage: {
+          inputTokens: responseBody.usage?.input_tokens || 0,
+          outputTokens: responseBody.usage?.output_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createAnthropicProvider };
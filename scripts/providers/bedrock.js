@@ -0,0 +1,67 @@
+/**
+ * AWS Bedrock provider (Anthropic models via InvokeModel)
+ */
+
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+
+const DEFAULT_MODEL_ID = 'arn:aws:bedrock:us-east-1:257394448189:inference-profile/us.anthropic.claude-opus-4-6-v1';
+
+/**
+ * Create a Bedrock provider. Explicit keys are optional; without them the
+ * default AWS credential chain (profile, OIDC role, instance role) is used.
+ */
+function createBedrockProvider({ region, accessKeyId, secretAccessKey }) {
+  const client = new BedrockRuntimeClient({
+    region: region || 'us-east-1',
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Retries and fallbacks are handled by ./retry so they can be configured and logged
+    maxAttempts: 1,
+  });
+
+  return {
+    name: 'bedrock',
+    defaultModelId: DEFAULT_MODEL_ID,
+
+    async complete({ modelId, prompt, messages, maxTokens, signal }) {
+      const payload = {
+        anthropic_version: 'bedrock-2023-05-31',
+        max_tokens: maxTokens,
+        messages: messages || [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+      };
+
+      const command = new InvokeModelCommand({
+        modelId: modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(payload),
+      });
+
+      try {
+        const response = await client.send(command, { abortSignal: signal });
+        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+
+        return {
+          text: responseBody.content.filter(c => c.type === 'text').map(c => c.text).join(''),
+          stopReason: responseBody.stop_reason,
+          usage: {
+            inputTokens: responseBody.usage?.input_tokens || 0,
+            outputTokens: responseBody.usage?.output_tokens || 0,
+          },
+        };
+      } catch (error) {
+        if (error.message && error.message.includes('on-demand throughput')) {
+          console.error('\n⚠️  This model does not support on-demand throughput.');
+          console.error('Consider using a different model or inference profile.\n');
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = { createBedrockProvider };
@@ -0,0 +1,32 @@
+/**
+ * Minimal JSON-over-HTTP helper shared by the HTTP-based providers
+ */
+
+/**
+ * POST a JSON body and return the parsed JSON response.
+ * Non-2xx responses throw an Error carrying the HTTP status and response text.
+ * `signal` (an AbortSignal) cancels the request.
+ */
+async function postJSON(url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`${url} responded with ${response.status}: ${text.slice(0, 500)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${url} returned a non-JSON response: ${text.slice(0, 200)}`);
+  }
+}
+
+module.exports = { postJSON };
@@ -0,0 +1,32 @@
+/**
+ * LLM provider registry.
+ *
+ * Every provider exposes the same interface:
+ *   { name, defaultModelId, complete({ modelId, prompt, messages, maxTokens, signal }) }
+ * where complete() resolves to { text, stopReason, usage: { inputTokens, outputTokens } }.
+ * `messages` ([{ role: 'user'|'assistant', content }]) continues a conversation
+ * and takes the place of `prompt` when given; `signal` (an AbortSignal) cancels
+ * the request. Retries, timeouts and fallback models are layered on top (see ./retry).
+ * Stop reasons use the Anthropic vocabulary (`end_turn`, `max_tokens`, ...).
+ */
+
+const PROVIDERS = {
+  bedrock: () => require('./bedrock').createBedrockProvider,
+  anthropic: () => require('./anthropic').createAnthropicProvider,
+  openai: () => require('./openai-compatible').createOpenAICompatibleProvider,
+  mock: () => require('./mock').createMockProvider,
+};
+
+/**
+ * Create a provider by name. Factories are loaded lazily so, for example,
+ * the AWS SDK is only required when the bedrock provider is selected.
+ */
+function createProvider(name, options = {}) {
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return load()(options);
+}
+
+module.exports = { createProvider, PROVIDER_NAMES: Object.keys(PROVIDERS) };
@@ -0,0 +1,39 @@
+/**
+ * Deterministic offline provider. Returns canned JSON so the whole pipeline
+ * (parsing, inline comments, labels, outputs) can be exercised without a model.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_RESPONSE = {
+  status: 'APPROVED',
+  summary: 'Mock review: no model was called.',
+  findings: [],
+};
+
+/**
+ * Create a mock provider. `responseFile` may point to a file holding the raw
+ * response text (typically a ```json fenced block) to return instead of the default.
+ */
+function createMockProvider({ responseFile }) {
+  const text = responseFile
+    ? fs.readFileSync(responseFile, 'utf8')
+    : '```json\n' + JSON.stringify(DEFAULT_RESPONSE, null, 2) + '\n```';
+
+  return {
+    name: 'mock',
+    defaultModelId: 'mock',
+
+    async complete({ prompt, messages }) {
+      const input = messages ? messages.map(m => m.content).join('') : prompt;
+      return {
+        text,
+        stopReason: 'end_turn',
+        // Rough 4-characters-per-token estimate so usage reporting has something to show
+        usage: { inputTokens: Math.ceil(input.length / 4), outputTokens: Math.ceil(text.length / 4) },
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
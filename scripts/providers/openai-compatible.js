@@ -0,0 +1,51 @@
+/**
+ * OpenAI-compatible chat completions provider.
+ * Works with any server exposing POST {baseUrl}/chat/completions (OpenAI, vLLM,
+ * Ollama, LiteLLM and other self-hosted model servers).
+ */
+
+const { postJSON } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Map OpenAI finish reasons onto the Anthropic stop reasons used elsewhere
+const STOP_REASONS = { stop: 'end_turn', length: 'max_tokens' };
+
+/**
+ * Create an OpenAI-compatible provider. The API key is optional because
+ * self-hosted servers often run without authentication.
+ */
+function createOpenAICompatibleProvider({ apiKey, baseUrl }) {
+  const url = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    // There is no sensible default across arbitrary servers; model-id must be set
+    defaultModelId: null,
+
+    async complete({ modelId, prompt, messages, maxTokens, signal }) {
+      const responseBody = await postJSON(
+        url,
+        apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+        {
+          model: modelId,
+          max_tokens: maxTokens,
+          messages: messages || [{ role: 'user', content: prompt }],
+        },
+        signal
+      );
+
+      const choice = responseBody.choices?.[0];
+      return {
+        text: choice?.message?.content || '',
+        stopReason: STOP_REASONS[choice?.finish_reason] || choice?.finish_reason,
+        usage: {
+          inputTokens: responseBody.usage?.prompt_tokens || 0,
+          outputTokens: responseBody.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
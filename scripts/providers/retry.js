@@ -0,0 +1,135 @@
+/**
+ * Resilient model calls
+ *
+ * Wraps a provider so each request gets a timeout, transient failures
+ * (throttling, overloaded or unavailable service, timeouts, network errors) are
+ * retried with exponential backoff and jitter, and an ordered list of fallback
+ * models is tried when a model stays unavailable. Once a fallback model answers,
+ * later requests start with it instead of retrying the failed model again.
+ */
+
+// Bedrock error names worth retrying
+const RETRYABLE_NAMES = [
+  'ThrottlingException',
+  'ServiceUnavailableException',
+  'InternalServerException',
+  'ModelNotReadyException',
+  'ModelTimeoutException',
+  'TimeoutError',
+];
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// Errors meaning the model itself cannot be used, so retrying it is pointless
+const UNAVAILABLE_NAMES = ['ResourceNotFoundException', 'AccessDeniedException'];
+const UNAVAILABLE_MESSAGE = /model identifier|inference profile|on-demand throughput|model.*(not found|does not exist|not available)/i;
+
+function statusOf(error) {
+  return error.status || error.$metadata?.httpStatusCode;
+}
+
+/**
+ * Whether an error is transient and the same request may succeed later
+ */
+function isRetryableError(error) {
+  if (RETRYABLE_NAMES.includes(error.name) || RETRYABLE_STATUSES.includes(statusOf(error))) return true;
+  // fetch() network failures
+  return (error.name === 'TypeError' && /fetch failed/i.test(error.message)) ||
+    /ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up/.test(error.message || '');
+}
+
+/**
+ * Whether an error means the model or inference profile cannot be used at all
+ */
+function isModelUnavailableError(error) {
+  if (UNAVAILABLE_NAMES.includes(error.name) || statusOf(error) === 404) return true;
+  return (error.name === 'ValidationException' || statusOf(error) === 400) && UNAVAILABLE_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Backoff before retry `attempt` (1-based): exponential, capped, with the upper half jittered
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+  const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn(signal)` and reject with a TimeoutError after `timeoutMs`, aborting the signal
+ */
+async function withTimeout(fn, timeoutMs) {
+  if (!timeoutMs) return fn(undefined);
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Model call timed out after ${Math.round(timeoutMs / 1000)}s`);
+      error.name = 'TimeoutError';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Create a model caller.
+ *
+ * Options:
+ *   provider     provider from createProvider()
+ *   modelIds     primary model followed by fallbacks, in order
+ *   maxRetries   retries per model for transient errors (default: 3)
+ *   timeoutMs    per-request timeout, 0 for none (default: 600000)
+ *   baseDelayMs  first backoff delay (default: 2000)
+ *   maxDelayMs   longest backoff delay (default: 60000)
+ *
+ * Returns { complete(request) }, which resolves to the provider's response plus
+ * the `modelId` that produced it. `request.modelId` is ignored.
+ */
+function createModelCaller({ provider, modelIds, maxRetries = 3, timeoutMs = 600000, baseDelayMs = 2000, maxDelayMs = 60000 }) {
+  let active = 0;
+
+  const callModel = async (modelId, request) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await withTimeout(signal => provider.complete({ ...request, modelId, signal }), timeoutMs);
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableError(error)) throw error;
+        const delay = backoffDelay(attempt + 1, baseDelayMs, maxDelayMs);
+        console.warn(`⚠️  ${modelId}: ${error.name || 'Error'}: ${error.message}; retry ${attempt + 1}/${maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    async complete(request) {
+      for (let index = active; index < modelIds.length; index++) {
+        const modelId = modelIds[index];
+        try {
+          const response = await callModel(modelId, request);
+          if (index !== active) {
+            console.log(`  ✓ Using fallback model ${modelId}`);
+            active = index;
+          }
+          return { ...response, modelId };
+        } catch (error) {
+          const canFallBack = isRetryableError(error) || isModelUnavailableError(error);
+          if (!canFallBack || index === modelIds.length - 1) throw error;
+          console.warn(`⚠️  ${modelId} is unavailable (${error.name || 'Error'}: ${error.message}); falling back to ${modelIds[index + 1]}`);
+        }
+      }
+      throw new Error('No model available');
+    },
+  };
+}
+
+module.exports = { createModelCaller, isRetryableError, isModelUnavailableError, withTimeout, backoffDelay };
@@ -0,0 +1,144 @@
+/**
+ * SARIF 2.1.0 export
+ *
+ * Converts a parsed analysis into a SARIF log so findings can be uploaded to
+ * GitHub code scanning (github/codeql-action/upload-sarif) next to other analyzers.
+ * Rule metadata comes from the standards catalog (see ./standards).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ruleUrl } = require('./standards');
+const { parseSuggestion } = require('./suggestions');
+const { findingRange } = require('./diff-lines');
+const { fingerprint } = require('./finding-marker');
+const { version: TOOL_VERSION } = require('../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'PR Standards Checker';
+const TOOL_URI = 'https://github.com/ss-libs/pr-standards-action';
+
+// must_fix blocks merge, so it surfaces as an error; everything else is a warning
+const LEVELS = { must_fix: 'error', other: 'warning' };
+
+/**
+ * SARIF reportingDescriptor for a standards rule
+ */
+function ruleDescriptor(rule, standardsUrl) {
+  const descriptor = {
+    id: rule.id,
+    name: rule.title,
+    shortDescription: { text: rule.title },
+    fullDescription: { text: rule.text },
+    properties: {
+      tags: ['standards', rule.section, rule.subsection].filter(Boolean),
+    },
+  };
+  const helpUri = ruleUrl(rule, standardsUrl);
+  if (helpUri) descriptor.helpUri = helpUri;
+  return descriptor;
+}
+
+/**
+ * Build a SARIF 2.1.0 log from a parsed analysis.
+ * Covers `findings` (first review) as well as `new_findings` and `persisting` (re-review).
+ */
+function buildSarif(data, standards, { standardsUrl = '', modelId = '' } = {}) {
+  const rules = standards.rules.map(rule => ruleDescriptor(rule, standardsUrl));
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const findings = [
+    ...(data.findings || []),
+    ...(data.new_findings || []),
+    ...(data.persisting || []),
+  ];
+
+  const results = findings.map(finding => {
+    const ruleId = finding.rule_id || 'unclassified';
+
+    // Findings citing rules outside the catalog still get a descriptor so the log stays valid
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        name: ruleId,
+        shortDescription: { text: `Finding without a rule in the standards document (${ruleId})` },
+      });
+    }
+
+    const message = finding.body || finding.bump_message || finding.title;
+    const suggestion = parseSuggestion(finding);
+
+    // Removed code has no location in the new file; point at where it was and say so
+    const { side, startLine, line } = findingRange(finding);
+    const region = { startLine: Math.max(startLine || 1, 1) };
+    if (side === 'RIGHT' && startLine < line) region.endLine = line;
+    const removedNote = side === 'LEFT' ? `\n\n(Removed code: line ${region.startLine} of the base version.)` : '';
+
+    return {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: LEVELS[finding.priority] || 'warning',
+      message: { text: `${finding.title}\n\n${message}${removedNote}` },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: finding.path, uriBaseId: '%SRCROOT%' },
+            region,
+          },
+        },
+      ],
+      partialFingerprints: { 'prStandardsFinding/v1': fingerprint(finding) },
+      ...(suggestion && {
+        fixes: [
+          {
+            description: { text: finding.title },
+            artifactChanges: [
+              {
+                artifactLocation: { uri: finding.path, uriBaseId: '%SRCROOT%' },
+                replacements: [
+                  {
+                    deletedRegion: { startLine: suggestion.startLine, endLine: suggestion.endLine },
+                    insertedContent: { text: `${suggestion.replacement}\n` },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      }),
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            informationUri: TOOL_URI,
+            version: TOOL_VERSION,
+            rules,
+          },
+        },
+        results,
+        properties: {
+          status: data.status || 'UNKNOWN',
+          ...(modelId ? { model: modelId } : {}),
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Write the SARIF log for an analysis to `filePath`, creating parent directories
+ */
+function writeSarif(filePath, data, standards, options) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(buildSarif(data, standards, options), null, 2), 'utf8');
+}
+
+module.exports = { buildSarif, writeSarif };
@@ -0,0 +1,170 @@
+/**
+ * Path-scoped standards
+ *
+ * A standards map assigns standards documents to parts of the repository, in
+ * the spirit of CODEOWNERS. Each line is a path pattern followed by one or more
+ * standards files (repo-relative):
+ *
+ *   # pattern          standards
+ *   *                  .github/standards/common.md
+ *   /frontend/         .github/standards/common.md .github/standards/frontend.md
+ *   /backend/**        .github/standards/common.md .github/standards/backend.md
+ *
+ * As in CODEOWNERS, the last matching line wins. Patterns use the same
+ * gitignore syntax as .standardsignore (see ./ignore). Files matched by no line
+ * fall back to the default standards document plus any extra documents that
+ * apply to them (the language standards packs, see ./languages).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createPathPattern } = require('./ignore');
+const { loadStandards } = require('./standards');
+
+/**
+ * Parse standards map text into entries of { pattern, documents, matches }
+ */
+function parseStandardsMap(text) {
+  const entries = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    const [pattern, ...documents] = line.split(/\s+/);
+    if (documents.length === 0) {
+      console.warn(`⚠️  Standards map line has no standards files and is skipped: "${rawLine.trim()}"`);
+      continue;
+    }
+
+    entries.push({ pattern, documents, matches: createPathPattern(pattern) });
+  }
+
+  return entries;
+}
+
+/**
+ * Create a resolver from file paths to the standards documents that govern them.
+ *
+ * Options:
+ *   mapFile          path to the standards map (optional; without it every file gets the default)
+ *   rootDir          directory the map's document paths are relative to (default: cwd)
+ *   defaultDocument  { path, url } of the standards document for unmapped files
+ *   extraDocuments   [{ key, label, path, url, appliesTo(filePath) }] added for unmapped files they apply to
+ *   documentUrl      function(repoRelativePath) => URL for linking rules in mapped documents
+ *
+ * Documents are loaded once and shared, also when one file is listed under
+ * several names. Each returned document is { key, label, path, url, rules, byId, markdown }.
+ *
+ * Rule IDs are unique across documents: when a document defines an ID an earlier
+ * document already uses, its rule is renamed to `<file name>.<id>`, so links,
+ * scope checks and SARIF point at the document the finding's rule came from.
+ */
+function createStandardsResolver({ mapFile, rootDir = process.cwd(), defaultDocument, extraDocuments = [], documentUrl = () => '' }) {
+  const documents = new Map();
+
+  const loadDocument = (key, filePath, url, label = key) => {
+    const loaded = [...documents.values()].find(doc => path.resolve(doc.path) === path.resolve(filePath));
+    if (loaded) return loaded;
+    if (!documents.has(key)) {
+      const standards = loadStandards(filePath);
+      for (const rule of standards.rules) rule.documentUrl = url;
+      documents.set(key, { key, label, path: filePath, url, ...standards });
+    }
+    return documents.get(key);
+  };
+
+  const defaultDoc = loadDocument('default', defaultDocument.path, defaultDocument.url, 'Default standards');
+  const extras = extraDocuments.map(extra => ({
+    document: loadDocument(extra.key, extra.path, extra.url, extra.label),
+    appliesTo: extra.appliesTo,
+  }));
+
+  let entries = [];
+  if (mapFile) {
+    try {
+      entries = parseStandardsMap(fs.readFileSync(mapFile, 'utf8'));
+      // Load every mapped document up front so the full catalog is known
+      for (const entry of entries) {
+        entry.documents = entry.documents.map(doc => {
+          const relPath = doc.replace(/^\.?\//, '');
+          return loadDocument(relPath, path.join(rootDir, relPath), documentUrl(relPath));
+        });
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not load standards map ${mapFile}: ${error.message}`);
+      entries = [];
+    }
+  }
+
+  // Union of all rules across documents, renaming IDs an earlier document already uses
+  const byId = new Map();
+  for (const doc of documents.values()) {
+    for (const rule of doc.rules) {
+      if (byId.has(rule.id)) {
+        const original = rule.id;
+        const prefix = path.basename(doc.path, path.extname(doc.path)).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        let id = `${prefix}.${original}`;
+        for (let n = 2; byId.has(id); n++) id = `${prefix}.${original}-${n}`;
+        console.warn(`⚠️  Rule ID ${original} in ${doc.path} is already defined by another standards document; using ${id}`);
+        doc.byId.delete(original);
+        doc.byId.set(id, rule);
+        rule.id = id;
+      }
+      byId.set(rule.id, rule);
+    }
+  }
+
+  return {
+    /**
+     * Whether any of the files has standards other than the default document alone
+     * (a map entry or language pack matched it)
+     */
+    isScoped(filePaths) {
+      return filePaths.some(filePath => {
+        const docs = this.documentsFor(filePath);
+        return docs.length !== 1 || docs[0] !== defaultDoc;
+      });
+    },
+
+    /** All rules from all documents, for validation and SARIF */
+    rules: [...byId.values()],
+    byId,
+    markdown: defaultDoc.markdown,
+    defaultDocument: defaultDoc,
+
+    /**
+     * Standards documents governing a repository-relative file path
+     */
+    documentsFor(filePath) {
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (entries[i].matches(filePath)) return entries[i].documents;
+      }
+      return [defaultDoc, ...extras.filter(extra => extra.appliesTo(filePath)).map(extra => extra.document)];
+    },
+
+    /**
+     * Whether `ruleId` is defined by a document that governs `filePath`
+     */
+    ruleAppliesTo(ruleId, filePath) {
+      return this.documentsFor(filePath).some(doc => doc.byId.has(ruleId));
+    },
+
+    /**
+     * Group paths by the documents that govern them.
+     * Returns [{ document, paths }] in first-seen order.
+     */
+    groupByDocument(filePaths) {
+      const groups = new Map();
+      for (const filePath of filePaths) {
+        for (const doc of this.documentsFor(filePath)) {
+          if (!groups.has(doc.key)) groups.set(doc.key, { document: doc, paths: [] });
+          groups.get(doc.key).paths.push(filePath);
+        }
+      }
+      return [...groups.values()];
+    },
+  };
+}
+
+module.exports = { parseStandardsMap, createStandardsResolver };
@@ -0,0 +1,237 @@
+/**
+ * Standards document parsing
+ *
+ * Turns the standards markdown into a catalog of rules with stable IDs so that
+ * every finding can cite the rule it enforces. IDs are built from the section
+ * heading (##), the subsection heading (###) and the bullet's bold label:
+ *
+ *   ## 2. Security Standards
+ *   ### SQL Injection Prevention
+ *   - **Use parameterized queries**: ...
+ *
+ *   => security.sql-injection-prevention.use-parameterized-queries
+ *
+ * Leading numbering and a trailing "Standards" are dropped from section names.
+ * Any heading or bullet can pin its own ID segment with a trailing `{#my-id}`.
+ */
+
+const fs = require('fs');
+
+// Sections that describe the document rather than define rules
+const NON_RULE_SECTIONS = ['summary', 'overview', 'introduction', 'table-of-contents'];
+
+const EXPLICIT_ID = /\s*\{#([a-z0-9][a-z0-9-]*)\}\s*$/i;
+
+/**
+ * Lowercase, hyphen-separated slug of a piece of heading or bullet text
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/`/g, '')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+}
+
+/**
+ * GitHub's anchor for a heading: punctuation removed, spaces become hyphens
+ */
+function githubAnchor(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Split a heading or bullet into display text and ID segment
+ */
+function idSegment(text, transform = t => t) {
+  const explicit = text.match(EXPLICIT_ID);
+  const display = text.replace(EXPLICIT_ID, '').trim();
+  return { display, segment: explicit ? explicit[1].toLowerCase() : slugify(transform(display)) };
+}
+
+/**
+ * Parse a standards markdown document into rules.
+ * Returns { rules, byId } where each rule is
+ * { id, title, text, section, subsection, anchor }.
+ */
+function parseStandards(markdown) {
+  const rules = [];
+  const byId = new Map();
+  const anchorCounts = new Map();
+
+  let section = null;
+  let subsection = null;
+  let inFence = false;
+
+  // GitHub de-duplicates repeated heading anchors with -1, -2, ...
+  const nextAnchor = text => {
+    const base = githubAnchor(text);
+    const count = anchorCounts.get(base) || 0;
+    anchorCounts.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const anchor = nextAnchor(heading[2].replace(EXPLICIT_ID, ''));
+
+      if (level === 2) {
+        const { display, segment } = idSegment(heading[2], t => t.replace(/^\d+(\.\d+)*\.?\s+/, '').replace(/\s+standards$/i, ''));
+        section = NON_RULE_SECTIONS.includes(segment) ? null : { title: display, segment, anchor };
+        subsection = null;
+      } else if (level === 3 && section) {
+        const { display, segment } = idSegment(heading[2]);
+        subsection = { title: display, segment, anchor };
+      } else if (level <= 2) {
+        section = null;
+        subsection = null;
+      }
+      continue;
+    }
+
+    // Only top-level bullets are rules; indented bullets are examples/details
+    const bullet = line.match(/^[-*]\s+(.+)$/);
+    if (!bullet || !section) continue;
+
+    const explicit = bullet[1].match(EXPLICIT_ID);
+    const text = bullet[1].replace(EXPLICIT_ID, '').trim();
+    const bold = text.match(/^\*\*(.+?)\*\*/);
+    const label = bold ? bold[1].replace(/:$/, '') : text.split(':')[0].split(/\s+/).slice(0, 6).join(' ');
+    const { display, segment } = idSegment(label + (explicit ? explicit[0] : ''));
+
+    let id = [section.segment, subsection?.segment, segment].filter(Boolean).join('.');
+    if (byId.has(id)) {
+      let n = 2;
+      while (byId.has(`${id}-${n}`)) n++;
+      id = `${id}-${n}`;
+    }
+
+    const rule = {
+      id,
+      title: display,
+      text: text.replace(/\*\*/g, ''),
+      section: section.title,
+      subsection: subsection?.title || null,
+      anchor: (subsection || section).anchor,
+    };
+    rules.push(rule);
+    byId.set(id, rule);
+  }
+
+  return { rules, byId };
+}
+
+/**
+ * Load and parse a standards file. A missing or unreadable file yields an empty catalog.
+ */
+function loadStandards(filePath) {
+  try {
+    const markdown = fs.readFileSync(filePath, 'utf8');
+    return { ...parseStandards(markdown), markdown };
+  } catch (error) {
+    console.warn(`⚠️  Could not load standards file ${filePath}: ${error.message}`);
+    return { rules: [], byId: new Map(), markdown: '' };
+  }
+}
+
+/**
+ * Render the rule catalog for the prompt, grouped by section and subsection
+ */
+function formatRuleCatalog(rules, headingLevel = 3) {
+  let out = '';
+  let lastGroup = null;
+
+  for (const rule of rules) {
+    const group = rule.subsection ? `${rule.section} › ${rule.subsection}` : rule.section;
+    if (group !== lastGroup) {
+      out += `${out ? '\n' : ''}${'#'.repeat(headingLevel)} ${group}\n\n`;
+      lastGroup = group;
+    }
+    out += `- \`${rule.id}\` — ${rule.text}\n`;
+  }
+
+  return out;
+}
+
+/**
+ * URL of a rule's heading. Rules loaded through a standards map carry the URL of
+ * their own document; otherwise `standardsUrl` is used.
+ */
+function ruleUrl(rule, standardsUrl) {
+  const documentUrl = 'documentUrl' in rule ? rule.documentUrl : standardsUrl;
+  return documentUrl ? `${documentUrl}#${rule.anchor}` : '';
+}
+
+/**
+ * Markdown reference to a rule, linking to its heading when the document URL is known
+ */
+function formatRuleReference(ruleId, standards, standardsUrl) {
+  const rule = standards.byId.get(ruleId);
+  if (!rule) return `\`${ruleId || 'unknown'}\` (unknown rule)`;
+  const url = ruleUrl(rule, standardsUrl);
+  return url ? `[\`${rule.id}\`](${url})` : `\`${rule.id}\``;
+}
+
+/**
+ * Flag findings whose rule_id is missing or not in the catalog (`unknown_rule: true`).
+ * Flagged findings are kept, since the issue may still be real. Returns the list
+ * of flagged findings.
+ */
+function flagUnknownRules(data, standards) {
+  const flagged = [];
+  for (const f of [...(data.findings || []), ...(data.new_findings || []), ...(data.persisting || [])]) {
+    if (!f.rule_id || !standards.byId.has(f.rule_id)) {
+      f.unknown_rule = true;
+      flagged.push(f);
+    }
+  }
+  return flagged;
+}
+
+/**
+ * Validation errors ({ path, message }, as from ./analysis-schema) for new
+ * findings that cite a known rule from a standards document that does not
+ * govern their file. They go through the same repair round-trip as schema
+ * errors, and findings still citing such a rule after it are dropped.
+ */
+function ruleScopeErrors(data, standards) {
+  const errors = [];
+  if (!standards.ruleAppliesTo || !data || typeof data !== 'object') return errors;
+
+  // Persisting issues belong to threads already open, so only new findings are checked
+  for (const key of ['findings', 'new_findings']) {
+    if (!Array.isArray(data[key])) continue;
+    data[key].forEach((f, index) => {
+      if (f && standards.byId.has(f.rule_id) && !standards.ruleAppliesTo(f.rule_id, f.path)) {
+        errors.push({
+          path: [key, index, 'rule_id'],
+          message: `${JSON.stringify(f.rule_id)} is not a rule of the standards that govern ${f.path}; cite a rule from those standards`,
+        });
+      }
+    });
+  }
+  return errors;
+}
+
+module.exports = {
+  parseStandards,
+  loadStandards,
+  formatRuleCatalog,
+  formatRuleReference,
+  flagUnknownRules,
+  ruleScopeErrors,
+  ruleUrl,
+};
@@ -0,0 +1,81 @@
+/**
+ * Suggested changes
+ *
+ * A finding can carry a structured fix that replaces a range of lines in the
+ * new version of the file:
+ *
+ *   "suggestion": { "start_line": 42, "end_line": 43, "replacement": "const rows = await db.query(sql, [id]);" }
+ *
+ * When the range is part of the diff the fix is posted as a GitHub suggestion
+ * that the author can apply with one click. Otherwise it is shown as a plain
+ * code snippet.
+ */
+
+/**
+ * Code fence long enough to wrap `text`, which may itself contain fences
+ */
+function fenceFor(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Normalized suggestion of a finding ({ startLine, endLine, replacement }), or null if it has none or it is malformed
+ */
+function parseSuggestion(finding) {
+  const suggestion = finding.suggestion;
+  if (!suggestion || typeof suggestion.replacement !== 'string') return null;
+
+  const startLine = parseInt(suggestion.start_line ?? finding.line, 10);
+  const endLine = parseInt(suggestion.end_line ?? suggestion.start_line ?? finding.line, 10);
+  if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || startLine < 1 || endLine < startLine) return null;
+
+  return { startLine, endLine, replacement: suggestion.replacement.replace(/\r?\n$/, '') };
+}
+
+/**
+ * Check that a suggestion applies cleanly to the diff. `fileLines` is the file's
+ * entry from parseDiffForValidLines (see ./diff-lines); every replaced line must be
+ * on the new side of the diff, in one hunk.
+ * Returns null when it does, otherwise the reason it does not.
+ */
+function checkSuggestion(finding, suggestion, fileLines) {
+  if (String(finding.side || '').toUpperCase() === 'LEFT') return 'finding is on removed lines';
+  const line = parseInt(finding.line, 10);
+  if (line < suggestion.startLine || line > suggestion.endLine) {
+    return `line ${line} is outside the suggested range`;
+  }
+  if (!fileLines) return 'file is not in the diff';
+
+  const current = [];
+  for (let n = suggestion.startLine; n <= suggestion.endLine; n++) {
+    const diffLine = fileLines.RIGHT.get(n);
+    if (!diffLine) return `line ${n} is not in the diff`;
+    if (diffLine.hunk !== fileLines.RIGHT.get(suggestion.startLine).hunk) return 'range spans more than one hunk';
+    current.push(diffLine.text);
+  }
+  if (current.join('\n') === suggestion.replacement) return 'replacement does not change the code';
+
+  return null;
+}
+
+/**
+ * Markdown for a GitHub suggested change
+ */
+function formatSuggestionBlock(suggestion) {
+  const fence = fenceFor(suggestion.replacement);
+  return `${fence}suggestion\n${suggestion.replacement}\n${fence}`;
+}
+
+/**
+ * Markdown for a suggestion that cannot be posted as a suggested change
+ */
+function formatSuggestionSnippet(suggestion, language = '') {
+  const fence = fenceFor(suggestion.replacement);
+  const lines = suggestion.startLine === suggestion.endLine
+    ? `line ${suggestion.startLine}`
+    : `lines ${suggestion.startLine}-${suggestion.endLine}`;
+  return `**Suggested fix** (${lines}):\n\n${fence}${language}\n${suggestion.replacement}\n${fence}`;
+}
+
+module.exports = { parseSuggestion, checkSuggestion, formatSuggestionBlock, formatSuggestionSnippet };
@@ -0,0 +1,76 @@
+/**
+ * Sticky summary comment
+ *
+ * Instead of a new conversation comment on every run, the checker keeps one
+ * comment per PR, found by a hidden marker and edited in place. The latest run
+ * is shown at the top; earlier runs move into a collapsed "Previous runs"
+ * section:
+ *
+ *   <!-- pr-standards:summary -->
+ *   <!-- pr-standards:run -->
+ *   (latest run)
+ *
+ *   <details>
+ *   <summary>Previous runs (2)</summary>
+ *
+ *   <!-- pr-standards:run -->
+ *   (previous run)
+ *   <!-- pr-standards:run -->
+ *   (the run before)
+ *   </details>
+ */
+
+const SUMMARY_MARKER = '<!-- pr-standards:summary -->';
+const RUN_MARKER = '<!-- pr-standards:run -->';
+
+// Older runs are dropped beyond this, and when the comment would exceed GitHub's size limit
+const MAX_HISTORY = 20;
+const MAX_COMMENT_CHARS = 65000;
+
+const HISTORY_OPEN = /\s*<details>\s*<summary>Previous runs \(\d+\)<\/summary>\s*$/;
+const HISTORY_CLOSE = /\s*<\/details>\s*$/;
+
+/**
+ * Whether a comment body is the sticky summary comment
+ */
+function isSummaryComment(body) {
+  return (body || '').includes(SUMMARY_MARKER);
+}
+
+/**
+ * Runs recorded in a summary comment, latest first
+ */
+function parseRuns(body) {
+  if (!isSummaryComment(body)) return [];
+  return body
+    .split(RUN_MARKER)
+    .slice(1)
+    .map((run, index, runs) => (index === runs.length - 1 ? run.replace(HISTORY_CLOSE, '') : run).replace(HISTORY_OPEN, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the summary comment for a new run, keeping the runs of `previousBody` as history
+ */
+function buildSummaryComment(run, previousBody = '', { maxHistory = MAX_HISTORY, maxChars = MAX_COMMENT_CHARS } = {}) {
+  const history = parseRuns(previousBody).slice(0, maxHistory);
+
+  const render = previous => {
+    let body = `${SUMMARY_MARKER}\n${RUN_MARKER}\n${run.trim()}\n`;
+    if (previous.length > 0) {
+      body += `\n<details>\n<summary>Previous runs (${previous.length})</summary>\n\n`;
+      body += previous.map(entry => `${RUN_MARKER}\n${entry}\n`).join('\n');
+      body += '</details>\n';
+    }
+    return body;
+  };
+
+  let body = render(history);
+  while (body.length > maxChars && history.length > 0) {
+    history.pop();
+    body = render(history);
+  }
+  return body;
+}
+
+module.exports = { SUMMARY_MARKER, isSummaryComment, parseRuns, buildSummaryComment };
@@ -0,0 +1,180 @@
+/**
+ * Inline suppressions
+ *
+ * Source files can exempt code from the review with markers in comments. Every
+ * marker needs a reason after a colon; markers without one are rejected and have
+ * no effect. With the default marker name:
+ *
+ *   foo(); // standards-checker-ignore: generated shim            all rules, this line
+ *   foo(); // standards-checker-ignore[no-console-log]: CLI output  only the named rules
+ *   // standards-checker-ignore-next-line[rule-a, rule-b]: reason    the following line
+ *   // standards-checker-ignore-start: vendored code                  a block, until -end
+ *   // standards-checker-ignore-end
+ *
+ * Markers without a rule list hide the covered lines from the model entirely.
+ * Rule-scoped markers leave the code visible (it is still reviewed against every
+ * other rule); findings for the named rules on those lines are dropped afterwards.
+ * A rule name matches a full rule ID or any of its dot-separated prefixes or
+ * suffixes, so `no-console-log` matches `code-quality.logging.no-console-log`.
+ */
+
+const DEFAULT_MARKER = 'standards-checker-ignore';
+
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Placeholder for a line hidden from the model, written as a comment in the file's
+ * language (`comment` is [open, close] from the language registry)
+ */
+function placeholderFor(lineNumber, comment = ['//', '']) {
+  const [open, close] = comment;
+  return `${open} Line ${lineNumber} ignored by standards checker${close}`;
+}
+
+/**
+ * Find the suppression marker on a line, if any.
+ * Returns { kind: 'line'|'next-line'|'start'|'end', rules: string[]|null, reason } or null.
+ */
+function parseMarker(line, marker = DEFAULT_MARKER) {
+  const match = line.match(new RegExp(`${escapeRegex(marker)}(-next-line|-start|-end)?(?:\\[([^\\]]*)\\])?(?::(.*))?`));
+  if (!match) return null;
+
+  const rules = match[2] === undefined
+    ? null
+    : match[2].split(',').map(r => r.trim()).filter(Boolean);
+
+  // Drop block-comment terminators that follow the reason on the same line
+  const reason = (match[3] || '').replace(/\s*(\*\/|-->)\s*$/, '').trim();
+
+  return { kind: match[1] ? match[1].slice(1) : 'line', rules: rules && rules.length ? rules : null, reason };
+}
+
+/**
+ * Apply the suppression markers in a file. `comment` is the file's comment
+ * syntax ([open, close]) for placeholders; null for a language without comments,
+ * whose files are returned unchanged since they cannot hold markers.
+ *
+ * Returns:
+ *   content        file content with fully ignored lines replaced by placeholders
+ *   ignoredRanges  [{ start, end }] of hidden lines, or null
+ *   suppressions   [{ path, line, start, end, rules, reason }] for every accepted marker
+ *                  (rules is null for markers that cover all rules)
+ *   rejected       [{ path, line, error }] for markers that were not applied
+ */
+function applySuppressions(content, filePath, marker = DEFAULT_MARKER, comment) {
+  if (comment === null) return { content, ignoredRanges: null, suppressions: [], rejected: [] };
+
+  const lines = content.split('\n');
+  const output = [...lines];
+  const ignoredRanges = [];
+  const suppressions = [];
+  const rejected = [];
+  let openBlock = null;
+
+  const hide = (start, end) => {
+    for (let n = start; n <= end; n++) output[n - 1] = placeholderFor(n, comment);
+    ignoredRanges.push({ start, end });
+  };
+
+  const accept = (lineNumber, start, end, parsed) => {
+    const suppression = { path: filePath, line: lineNumber, start, end, rules: parsed.rules, reason: parsed.reason };
+    suppressions.push(suppression);
+    if (!parsed.rules) hide(start, end);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const parsed = parseMarker(lines[i], marker);
+    if (!parsed) continue;
+
+    if (parsed.kind === 'end') {
+      if (openBlock) {
+        accept(openBlock.line, openBlock.line, lineNumber, openBlock.parsed);
+        openBlock = null;
+      }
+      continue;
+    }
+
+    if (!parsed.reason) {
+      rejected.push({ path: filePath, line: lineNumber, error: 'missing reason' });
+      continue;
+    }
+    if (openBlock) {
+      rejected.push({ path: filePath, line: lineNumber, error: `nested inside the block opened on line ${openBlock.line}` });
+      continue;
+    }
+
+    if (parsed.kind === 'start') {
+      openBlock = { line: lineNumber, parsed };
+    } else if (parsed.kind === 'next-line') {
+      if (lineNumber < lines.length) accept(lineNumber, lineNumber + 1, lineNumber + 1, parsed);
+    } else {
+      accept(lineNumber, lineNumber, lineNumber, parsed);
+    }
+  }
+
+  // An unterminated block runs to the end of the file
+  if (openBlock) accept(openBlock.line, openBlock.line, lines.length, openBlock.parsed);
+
+  ignoredRanges.sort((a, b) => a.start - b.start);
+
+  return {
+    content: output.join('\n'),
+    ignoredRanges: ignoredRanges.length > 0 ? ignoredRanges : null,
+    suppressions,
+    rejected,
+  };
+}
+
+/**
+ * Whether a rule name from a marker refers to `ruleId`
+ */
+function ruleMatches(name, ruleId) {
+  if (!ruleId) return false;
+  return ruleId === name || ruleId.endsWith(`.${name}`) || ruleId.startsWith(`${name}.`);
+}
+
+/**
+ * Find the suppression that covers a finding, if any. Markers cover lines of the
+ * new file, so findings on removed lines (side LEFT) are never suppressed.
+ */
+function findSuppression(finding, suppressions) {
+  if (String(finding.side || '').toUpperCase() === 'LEFT') return null;
+  const line = parseInt(finding.line, 10);
+  return suppressions.find(s =>
+    s.path === finding.path &&
+    line >= s.start && line <= s.end &&
+    (!s.rules || s.rules.some(name => ruleMatches(name, finding.rule_id)))
+  ) || null;
+}
+
+/**
+ * Remove findings covered by a suppression from `findings`, `new_findings` and
+ * `persisting`. Returns the removed findings, each with a `suppressed_by` reference.
+ */
+function removeSuppressedFindings(data, suppressions) {
+  const removed = [];
+
+  for (const key of ['findings', 'new_findings', 'persisting']) {
+    if (!Array.isArray(data[key])) continue;
+    data[key] = data[key].filter(finding => {
+      const suppression = findSuppression(finding, suppressions);
+      if (!suppression) return true;
+      removed.push({ ...finding, suppressed_by: suppression });
+      return false;
+    });
+  }
+
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_MARKER,
+  applySuppressions,
+  parseMarker,
+  placeholderFor,
+  ruleMatches,
+  removeSuppressedFindings,
+};
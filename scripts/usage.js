@@ -0,0 +1,115 @@
+/**
+ * Token usage, cost estimates and the prompt budget
+ *
+ * Prices are USD per million tokens, keyed by a model name fragment that is
+ * matched against the model ID (the longest matching key wins), so one entry
+ * covers the plain model name, Bedrock model IDs and inference profile ARNs.
+ * Teams can add or override entries with a JSON object:
+ *
+ *   { "claude-opus-4-6": { "input": 5, "output": 25 }, "qwen2.5-coder": { "input": 0, "output": 0 } }
+ */
+
+const DEFAULT_PRICES = {
+  'claude-opus-4-6': { input: 5, output: 25 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  mock: { input: 0, output: 0 },
+};
+
+// Rough size of a token for prompt estimates before a request is sent
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimated number of tokens in a text
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Parse a price table from JSON. Invalid JSON yields no overrides.
+ */
+function parsePriceTable(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn(`⚠️  Could not parse model prices: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Price entry for a model ID, or null when the model is not in the table
+ */
+function priceFor(modelId, prices) {
+  const key = Object.keys(prices)
+    .filter(fragment => String(modelId).toLowerCase().includes(fragment.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Sum per-request usage ([{ modelId, inputTokens, outputTokens }]) into
+ * { input_tokens, output_tokens, requests, estimated_cost_usd, models }.
+ * The cost is null when a model without a price was used.
+ */
+function summarizeUsage(calls, overrides = {}) {
+  const prices = { ...DEFAULT_PRICES, ...overrides };
+  const models = {};
+  let cost = 0;
+
+  for (const call of calls) {
+    const model = models[call.modelId] || (models[call.modelId] = { input_tokens: 0, output_tokens: 0, requests: 0 });
+    model.input_tokens += call.inputTokens || 0;
+    model.output_tokens += call.outputTokens || 0;
+    model.requests++;
+  }
+
+  for (const [modelId, model] of Object.entries(models)) {
+    const price = priceFor(modelId, prices);
+    if (!price || cost === null) {
+      cost = null;
+      continue;
+    }
+    cost += (model.input_tokens * (price.input || 0) + model.output_tokens * (price.output || 0)) / 1e6;
+  }
+
+  const total = key => Object.values(models).reduce((sum, model) => sum + model[key], 0);
+  return {
+    input_tokens: total('input_tokens'),
+    output_tokens: total('output_tokens'),
+    requests: total('requests'),
+    estimated_cost_usd: cost === null ? null : Math.round(cost * 10000) / 10000,
+    models,
+  };
+}
+
+/**
+ * Readable list of context left out of the prompt (see buildPromptWithinBudget in
+ * ./check-pr-standards)
+ */
+function formatTrimmedContext(trimmed, formatPath = p => p) {
+  const list = paths => paths.map(formatPath).join(', ');
+  const parts = [];
+  if (trimmed.pattern_examples?.length) parts.push(`pattern examples (${list(trimmed.pattern_examples)})`);
+  if (trimmed.related_files?.length) parts.push(`related files (${list(trimmed.related_files)})`);
+  if (trimmed.callers?.length) parts.push(`callers (${list(trimmed.callers)})`);
+  if (trimmed.background_diff) parts.push('the full PR diff shown as background');
+  if (trimmed.file_contents?.length) parts.push(`full contents of ${list(trimmed.file_contents)}`);
+  return parts.join('; ') || 'nothing';
+}
+
+/**
+ * One-line description of usage, e.g. `12,345 input / 1,234 output tokens (~$0.09)`
+ */
+function formatUsage(usage) {
+  const cost = usage.estimated_cost_usd === null ? '' : ` (~$${usage.estimated_cost_usd.toFixed(2)})`;
+  return `${usage.input_tokens.toLocaleString('en-US')} input / ${usage.output_tokens.toLocaleString('en-US')} output tokens${cost}`;
+}
+
+module.exports = { DEFAULT_PRICES, estimateTokens, parsePriceTable, priceFor, summarizeUsage, formatUsage, formatTrimmedContext };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAnalysisSchema, validateAgainstSchema, formatSchemaError, removeInvalidItems } = require('../scripts/analysis-schema');
+
+const finding = {
+  priority: 'must_fix',
+  rule_id: 'security.sql',
+  title: 'Concatenated query',
+  path: 'src/db.js',
+  line: 4,
+  body: 'Use a parameterized query.',
+};
+
+test('a well-formed analysis has no errors', () => {
+  const schema = buildAnalysisSchema({ paths: ['src/db.js'] });
+  assert.deepEqual(validateAgainstSchema(schema, { status: 'BLOCK_MERGE', summary: 'One issue.', findings: [finding] }), []);
+});
+
+test('errors point at the invalid value', () => {
+  const schema = buildAnalysisSchema({ paths: ['src/db.js'] });
+  const data = {
+    status: 'MAYBE',
+    findings: [finding, { ...finding, path: 'src/other.js', line: '4', suggestion: { replacement: 'x' } }],
+  };
+
+  assert.deepEqual(validateAgainstSchema(schema, data).map(formatSchemaError), [
+    'summary: is required',
+    'status: "MAYBE" is not one of "BLOCK_MERGE", "APPROVED"',
+    'findings[1].path: "src/other.js" is not one of "src/db.js"',
+    'findings[1].line: expected integer, got string',
+    'findings[1].suggestion.start_line: is required',
+    'findings[1].suggestion.end_line: is required',
+  ]);
+});
+
+test('re-review fields are only checked with the re-review schema', () => {
+  const data = { status: 'APPROVED', summary: 'ok', persisting: [{ title: 'x' }] };
+
+  assert.deepEqual(validateAgainstSchema(buildAnalysisSchema({ paths: [] }), data), []);
+  assert.deepEqual(validateAgainstSchema(buildAnalysisSchema({ paths: [], reReview: true }), data).map(formatSchemaError), [
+    'persisting[0].priority: is required',
+    'persisting[0].path: is required',
+  ]);
+});
+
+test('line numbers start at 1', () => {
+  const schema = buildAnalysisSchema({ paths: ['src/db.js'] });
+  const errors = validateAgainstSchema(schema, { status: 'APPROVED', summary: 'ok', findings: [{ ...finding, line: 0 }] });
+  assert.deepEqual(errors.map(formatSchemaError), ['findings[0].line: must be at least 1']);
+});
+
+test('removeInvalidItems drops the list items that still fail after repair', () => {
+  const data = { status: 'APPROVED', findings: [finding, { ...finding, line: 0 }, { ...finding, line: 'x' }], general_notes: ['a', 7] };
+  const errors = [
+    { path: ['findings', 1, 'line'], message: 'must be at least 1' },
+    { path: ['findings', 2, 'line'], message: 'expected integer, got string' },
+    { path: ['findings', 2, 'body'], message: 'is required' },
+    { path: ['general_notes', 1], message: 'expected string, got integer' },
+  ];
+
+  assert.equal(removeInvalidItems(data, errors), 3);
+  assert.deepEqual(data.findings, [finding]);
+  assert.deepEqual(data.general_notes, ['a']);
+});
+
+test('removeInvalidItems gives up on errors outside list items', () => {
+  const data = { findings: [finding] };
+  assert.equal(removeInvalidItems(data, [{ path: ['summary'], message: 'is required' }]), null);
+  assert.equal(formatSchemaError({ path: [], message: 'expected object, got array' }), '(root): expected object, got array');
+});
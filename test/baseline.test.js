@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { entryFor, isExpired, loadBaseline, buildBaseline, removeBaselineFindings } = require('../scripts/baseline');
+
+const content = ['const db = require("./db");', '', 'function find(id) {', '  return db.query("SELECT * FROM t WHERE id = " + id);', '}'].join('\n');
+const finding = { path: 'src/db.js', line: 4, rule_id: 'security.sql', title: 'Query built by concatenation' };
+
+test('entryFor hashes the flagged lines of the new file', () => {
+  const entry = entryFor({ ...finding, start_line: 3 }, content);
+
+  assert.equal(entry.lines, 2);
+  assert.match(entry.hash, /^[0-9a-f]{16}$/);
+  assert.equal(entryFor({ ...finding, side: 'LEFT' }, content), null);
+  assert.equal(entryFor({ ...finding, line: 9 }, content), null);
+  assert.equal(entryFor(finding, undefined), null);
+});
+
+test('entries survive moves and indentation changes but expire once the code is gone', () => {
+  const entry = entryFor(finding, content);
+  const moved = `// header\n\n${content.replace('  return', '    return')}`;
+
+  assert.equal(isExpired(entry, moved), false);
+  assert.equal(isExpired(entry, content.replace('" + id', '$1", [id]')), true);
+  assert.equal(isExpired(entry, undefined), true);
+});
+
+test('removeBaselineFindings drops known findings and reports expired entries', () => {
+  const entry = entryFor(finding, content);
+  const stale = { path: 'src/db.js', rule_id: 'naming', hash: '0000000000000000', lines: 1 };
+  const elsewhere = { path: 'src/other.js', rule_id: 'naming', hash: '0000000000000000', lines: 1 };
+  const data = { findings: [finding, { ...finding, rule_id: 'naming' }], persisting: [{ ...finding }] };
+  const { removed, expired } = removeBaselineFindings(data, buildBaseline([entry, stale, elsewhere]), { 'src/db.js': content });
+
+  assert.equal(removed.length, 2);
+  assert.deepEqual(data.findings.map(f => f.rule_id), ['naming']);
+  assert.deepEqual(data.persisting, []);
+  assert.deepEqual(expired, [stale]);
+});
+
+test('buildBaseline dedupes and sorts entries', () => {
+  const a = { path: 'b.js', rule_id: 'x', hash: '1' };
+  const b = { path: 'a.js', rule_id: 'y', hash: '2' };
+  assert.deepEqual(buildBaseline([a, b, { ...a }]), { version: 1, entries: [b, a] });
+});
+
+test('loadBaseline tolerates missing entries and rejects missing or invalid files', t => {
+  t.mock.method(console, 'warn', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'empty.json'), '{"version":1}');
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+  assert.deepEqual(loadBaseline(path.join(dir, 'empty.json')).entries, []);
+  assert.equal(loadBaseline(path.join(dir, 'missing.json')), null);
+  assert.equal(loadBaseline(path.join(dir, 'broken.json')), null);
+  assert.match(console.warn.mock.calls[0].arguments[0], /Could not load baseline .*broken\.json/);
+});
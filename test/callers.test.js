@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findCallers, findExports, findImports, changedExports, resolveSpecifier } = require('../scripts/callers');
+const { splitDiffByFile } = require('../scripts/chunking');
+
+test('findExports reads ESM and CommonJS exports', () => {
+  assert.deepEqual(findExports('export async function load() {}\nexport const a = 1;\nexport { b as c, d };\nexport default x;'), ['load', 'a', 'default', 'c', 'd']);
+  assert.deepEqual(findExports('module.exports = { parse, format: formatAll };'), ['parse', 'format']);
+  assert.deepEqual(findExports('exports.run = () => {};\nmodule.exports.stop = 1;'), ['run', 'stop']);
+  assert.deepEqual(findExports('module.exports = class Client {};'), ['default']);
+});
+
+test('findImports reads named, default, namespace, require and re-export bindings', () => {
+  const imports = findImports([
+    "import api, { get, post as send } from './api';",
+    "import * as util from '../util';",
+    "const { parse } = require('./parser');",
+    "const db = require('./db');",
+    "export { helper } from './helpers';",
+  ].join('\n'));
+
+  assert.deepEqual(imports.map(i => [i.specifier, i.line, i.bindings]), [
+    ['./api', 1, [{ imported: 'get', local: 'get' }, { imported: 'post', local: 'send' }, { imported: 'default', local: 'api' }]],
+    ['../util', 2, [{ imported: '*', local: 'util' }]],
+    ['./parser', 3, [{ imported: 'parse', local: 'parse' }]],
+    ['./db', 4, [{ imported: '*', local: 'db' }, { imported: 'default', local: 'db' }]],
+    ['./helpers', 5, [{ imported: 'helper', local: 'helper' }]],
+  ]);
+  assert.equal(imports[4].reexport, true);
+});
+
+test('resolveSpecifier tries extensions, TypeScript .js imports and index files', () => {
+  const files = new Set(['src/api.ts', 'src/util/index.js', 'src/db.mts']);
+  assert.equal(resolveSpecifier('src/app.ts', './api', files), 'src/api.ts');
+  assert.equal(resolveSpecifier('src/app.ts', './api.js', files), 'src/api.ts');
+  assert.equal(resolveSpecifier('src/deep/app.ts', '../util', files), 'src/util/index.js');
+  assert.equal(resolveSpecifier('src/app.ts', 'lodash', files), null);
+  assert.equal(resolveSpecifier('src/app.ts', './missing', files), null);
+});
+
+test('changedExports only counts names on changed lines or hunk headers', () => {
+  const [section] = splitDiffByFile([
+    'diff --git a/src/api.js b/src/api.js',
+    '--- a/src/api.js',
+    '+++ b/src/api.js',
+    '@@ -10,3 +10,3 @@ function get(url) {',
+    '-  return fetch(url);',
+    '+  return fetch(url, { post: false });',
+    '',
+  ].join('\n'));
+
+  assert.deepEqual(changedExports(['get', 'post', 'put', 'default'], section), ['get', 'post']);
+});
+
+test('findCallers collects snippets from files that use the changed exports', () => {
+  const files = {
+    'src/api.js': 'function get(url) {\n  return fetch(url, { retry: 2 });\n}\nfunction put() {}\nmodule.exports = { get, put };\n',
+    'src/app.js': "const { get } = require('./api');\n\nasync function main() {\n  const res = await get('/x');\n  return res;\n}\n",
+    'src/other.js': "const { put } = require('./api');\nput();\n",
+    'src/unrelated.js': 'get();\n',
+  };
+  const diff = [
+    'diff --git a/src/api.js b/src/api.js',
+    '--- a/src/api.js',
+    '+++ b/src/api.js',
+    '@@ -1,3 +1,3 @@ function get(url) {',
+    '-  return fetch(url);',
+    '+  return fetch(url, { retry: 2 });',
+    '',
+  ].join('\n');
+
+  const callers = findCallers({
+    diff,
+    repoFiles: Object.keys(files),
+    readFile: p => files[p] ?? null,
+    limits: { maxCallers: 10, maxCallerChars: 1000, callerContextLines: 0 },
+  });
+
+  assert.deepEqual(callers, [{
+    path: 'src/app.js',
+    targets: ['src/api.js'],
+    symbols: ['get'],
+    snippets: [{ start: 1, end: 1, text: "const { get } = require('./api');" }, { start: 4, end: 4, text: "  const res = await get('/x');" }],
+  }]);
+});
+
+test('findCallers is off when maxCallers is 0', () => {
+  assert.deepEqual(findCallers({ diff: '', repoFiles: [], readFile: () => null, limits: { maxCallers: 0 } }), []);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCheckRunOutput } = require('../scripts/check-run');
+const { parseStandards } = require('../scripts/standards');
+
+const standards = parseStandards('## Security\n### SQL\n- **Parameterize**: never concatenate input\n');
+const RULE = 'security.sql.parameterize';
+
+test('a clean analysis has no annotations', () => {
+  const output = buildCheckRunOutput({ status: 'APPROVED', summary: 'All good.' }, standards, { modelId: 'm1' });
+
+  assert.equal(output.title, 'No standards issues found');
+  assert.deepEqual(output.annotations, []);
+  assert.ok(output.summary.startsWith('All good.'));
+  assert.match(output.summary, /Model: m1/);
+});
+
+test('findings are tabulated and annotated, except on removed lines', () => {
+  const data = {
+    summary: 'Issues.',
+    findings: [
+      { path: 'db.js', start_line: 3, line: 4, priority: 'must_fix', rule_id: RULE, title: 'Concatenated | query', body: 'Use $1.', suggestion: { replacement: 'q($1)' } },
+      { path: 'old.js', line: 9, side: 'LEFT', priority: 'other', title: 'Removed check' },
+    ],
+    persisting: [{ path: 'a.js', line: 1, title: 'Naming', bump_message: 'Still present.' }],
+    resolved: ['Old issue'],
+  };
+  const output = buildCheckRunOutput(data, standards, { standardsUrl: 'https://x/S.md' });
+
+  assert.equal(output.title, '3 issue(s) found, 1 must fix');
+  assert.match(output.summary, /\| 🔴 Must Fix \| Concatenated \\\| query \| `db\.js:3-4` \| \[`security\.sql\.parameterize`\]\(https:\/\/x\/S\.md#sql\) \|/);
+  assert.match(output.summary, /`old\.js:9 \(removed\)`/);
+  assert.match(output.summary, /Resolved since the last review:\*\* 1/);
+
+  assert.deepEqual(output.annotations.map(a => a.path), ['db.js', 'a.js']);
+  assert.deepEqual(output.annotations[0], {
+    path: 'db.js',
+    start_line: 3,
+    end_line: 4,
+    annotation_level: 'failure',
+    title: 'Concatenated | query',
+    message: `Use $1.\n\nRule: ${RULE}`,
+    raw_details: 'Suggested fix:\nq($1)',
+  });
+  assert.equal(output.annotations[1].annotation_level, 'warning');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitDiffByFile, sectionText, planReviewChunks, mapWithConcurrency, mergeChunkAnalyses } = require('../scripts/chunking');
+
+const fileDiff = (path, hunks) =>
+  `diff --git a/${path} b/${path}\n--- a/${path}\n+++ b/${path}\n` +
+  hunks.map((body, i) => `@@ -${i * 10 + 1},1 +${i * 10 + 1},1 @@\n${body}\n`).join('');
+
+test('splitDiffByFile keeps headers and hunks per file', () => {
+  const first = fileDiff('a.js', ['+a', '+b']);
+  const diff = first + 'diff --git a/old.js b/new.js\nrename from old.js\nrename to new.js\n--- a/old.js\n+++ b/new.js\n';
+  const sections = splitDiffByFile(diff);
+
+  assert.deepEqual(sections.map(s => s.path), ['a.js', 'new.js']);
+  assert.equal(sections[0].hunks.length, 2);
+  assert.equal(sections[1].hunks.length, 0);
+  assert.equal(sectionText(sections[0]), first);
+});
+
+test('planReviewChunks packs files together while they fit', () => {
+  const sections = splitDiffByFile(fileDiff('a.js', ['+a']) + fileDiff('b.js', ['+b']));
+  const contents = { 'a.js': { content: 'a' }, 'b.js': { content: 'b' } };
+  const chunks = planReviewChunks(sections, contents, 10000);
+
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].paths, ['a.js', 'b.js']);
+  assert.deepEqual(Object.keys(chunks[0].fileContents), ['a.js', 'b.js']);
+});
+
+test('planReviewChunks omits contents, then splits hunks, rather than truncating', () => {
+  const small = splitDiffByFile(fileDiff('a.js', ['+a']));
+  const budget = sectionText(small[0]).length + 5;
+  const omitted = planReviewChunks(small, { 'a.js': { content: 'x'.repeat(100) } }, budget);
+
+  assert.deepEqual(omitted[0].omittedContents, ['a.js']);
+  assert.deepEqual(omitted[0].fileContents, {});
+
+  const big = splitDiffByFile(fileDiff('b.js', ['+' + 'b'.repeat(40), '+' + 'c'.repeat(40)]));
+  const parts = planReviewChunks(big, {}, big[0].header.length + big[0].hunks[0].length);
+
+  assert.equal(parts.length, 2);
+  assert.deepEqual(parts.map(p => p.partial), [['b.js'], ['b.js']]);
+  assert.deepEqual(parts.map(p => p.diff), big[0].hunks.map(hunk => big[0].header + hunk));
+});
+
+test('mapWithConcurrency preserves order and limits calls in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([3, 1, 2, 0], 2, async (n, index) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, n));
+    inFlight--;
+    return n * 10 + index;
+  });
+
+  assert.deepEqual(results, [30, 11, 22, 3]);
+  assert.equal(peak, 2);
+});
+
+test('mergeChunkAnalyses blocks if any chunk blocks and dedupes findings', () => {
+  const finding = { path: 'a.js', line: 3, title: 'SQL injection!' };
+  const merged = mergeChunkAnalyses([
+    { status: 'APPROVED', summary: 'Looks fine.', general_notes: ['Nice'] },
+    { status: 'BLOCK_MERGE', summary: 'looks fine', findings: [finding, { ...finding, title: 'sql injection' }] },
+  ]);
+
+  assert.equal(merged.status, 'BLOCK_MERGE');
+  assert.equal(merged.summary, 'Large PR reviewed in 2 chunks. Looks fine.');
+  assert.equal(merged.findings.length, 1);
+  assert.deepEqual(merged.general_notes, ['Nice']);
+  assert.equal('persisting' in merged, false);
+});
+
+test('mergeChunkAnalyses refuses to merge nothing', () => {
+  assert.throws(() => mergeChunkAnalyses([]), /No chunk analyses to merge/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COMMANDS, parseCommand, roleAllows, formatCommandHelp } = require('../scripts/commands');
+
+test('parseCommand finds the command on any line of the comment', () => {
+  assert.deepEqual(parseCommand('Thanks!\n\n  /standards Recheck  \n'), { name: 'recheck', argument: '', error: null });
+  assert.deepEqual(parseCommand('/standards skip   flaky model, reviewed by hand'), { name: 'skip', argument: 'flaky model, reviewed by hand', error: null });
+  assert.equal(parseCommand('see /standards recheck'), null);
+  assert.equal(parseCommand('/standardsrecheck'), null);
+  assert.equal(parseCommand(undefined), null);
+});
+
+test('parseCommand reports unknown commands and missing arguments', () => {
+  assert.equal(parseCommand('/standards').error, 'No command given');
+  assert.equal(parseCommand('/standards deploy now').error, 'Unknown command `deploy`');
+  assert.equal(parseCommand('/standards skip').error, '`/standards skip` needs a reason');
+  assert.equal(parseCommand('/standards explain').error, '`/standards explain` needs a finding');
+});
+
+test('roles are ordered as GitHub grants them', () => {
+  const roles = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+  roles.forEach((role, index) => {
+    roles.forEach((required, requiredIndex) => {
+      assert.equal(roleAllows(role, required), index >= requiredIndex, `${role} vs ${required}`);
+    });
+  });
+});
+
+test('skip needs maintain access; the other commands need write', () => {
+  assert.equal(COMMANDS.skip.role, 'maintain');
+  for (const role of ['none', 'read', 'triage', 'write']) assert.equal(roleAllows(role, COMMANDS.skip.role), false, role);
+  for (const role of ['maintain', 'admin']) assert.equal(roleAllows(role, COMMANDS.skip.role), true, role);
+
+  for (const name of ['recheck', 'full', 'explain']) {
+    assert.equal(roleAllows('triage', COMMANDS[name].role), false, name);
+    assert.equal(roleAllows('write', COMMANDS[name].role), true, name);
+  }
+});
+
+test('unknown roles get no access', () => {
+  assert.equal(roleAllows(undefined, 'read'), false);
+  assert.equal(roleAllows('owner', 'write'), false);
+});
+
+test('the help lists every command with its role', () => {
+  const help = formatCommandHelp();
+  assert.equal(help.split('\n').length, Object.keys(COMMANDS).length);
+  assert.match(help, /`\/standards skip <reason>` — .* \(maintain access\)/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_LIMITS, createContextResolver, compileWhen, substitute } = require('../scripts/context-rules');
+
+const makeRepo = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [relPath, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+    fs.writeFileSync(path.join(dir, relPath), text);
+  }
+  return dir;
+};
+
+test('compileWhen captures variables and supports * and **', () => {
+  assert.deepEqual({ ...'app/handlers/user.py'.match(compileWhen('app/handlers/{name}.py')).groups }, { name: 'user' });
+  assert.equal(compileWhen('src/**/*.test.js').test('src/a/b/x.test.js'), true);
+  assert.equal(compileWhen('src/**/*.test.js').test('src/x.test.js'), true);
+  assert.equal(compileWhen('src/*.js').test('src/a/x.js'), false);
+  assert.equal(compileWhen('a?c.js').test('abc.js'), true);
+});
+
+test('substitute applies filters and gives up on unknown variables', () => {
+  const vars = { name: 'user_profiles' };
+  assert.equal(substitute('{name|singular}', vars), 'user_profile');
+  assert.equal(substitute('{name|pascal}.ts', vars), 'UserProfiles.ts');
+  assert.equal(substitute('{name|camel}', vars), 'userProfiles');
+  assert.equal(substitute('{name|kebab}', vars), 'user-profiles');
+  assert.equal(substitute('{category|plural}', { category: 'category' }), 'categories');
+  assert.equal(substitute('{missing}.py', vars), null);
+  assert.throws(() => substitute('{name|upper}', vars), /Unknown filter "upper"/);
+});
+
+test('relatedFor lists existing related files in rule order', t => {
+  const rootDir = makeRepo(t, {
+    'app/schemas/user.py': '',
+    'app/services/user_service.py': '',
+  });
+  const resolver = createContextResolver({
+    limits: { maxRelatedFiles: 5 },
+    rules: [{ when: 'app/handlers/{name}.py', related: ['app/schemas/{name}.py', 'app/models/{name}.py', 'app/services/{name}_service.py', '{path}'] }],
+  }, { rootDir });
+
+  assert.equal(resolver.limits.maxRelatedFiles, 5);
+  assert.equal(resolver.limits.exampleChars, DEFAULT_LIMITS.exampleChars);
+  assert.deepEqual(resolver.relatedFor('app/handlers/user.py'), ['app/schemas/user.py', 'app/services/user_service.py']);
+  assert.deepEqual(resolver.relatedFor('app/other/user.py'), []);
+});
+
+test('examplesFor picks a file outside the PR, preferring one that fits', t => {
+  const rootDir = makeRepo(t, {
+    'app/handlers/_exemplar.py': 'x',
+    'app/handlers/a_big.py': 'x'.repeat(50),
+    'app/handlers/b_small.py': 'x',
+    'app/handlers/c.js': 'x',
+  });
+  const resolver = createContextResolver({
+    limits: { exampleChars: 10 },
+    rules: [
+      { name: 'handler', when: 'app/handlers/{name}.py', example: ['app/handlers/missing.py', 'app/handlers/_exemplar.py'] },
+      { name: 'dir', when: 'app/handlers/*.py', example: 'app/handlers/' },
+    ],
+  }, { rootDir });
+
+  assert.deepEqual(resolver.examplesFor(['app/handlers/user.py', 'app/handlers/_exemplar.py']), [{ rule: 'dir', path: 'app/handlers/b_small.py' }]);
+  assert.deepEqual(resolver.examplesFor(['app/handlers/user.py']), [
+    { rule: 'handler', path: 'app/handlers/_exemplar.py' },
+    { rule: 'dir', path: 'app/handlers/_exemplar.py' },
+  ]);
+});
+
+test('rules without a when pattern are skipped', t => {
+  t.mock.method(console, 'warn', () => {});
+  const resolver = createContextResolver({ rules: [{ name: 'broken', related: ['x'] }] });
+
+  assert.deepEqual(resolver.relatedFor('x'), []);
+  assert.match(console.warn.mock.calls[0].arguments[0], /Context rule broken has no "when" pattern/);
+});
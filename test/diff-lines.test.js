@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDiffForValidLines, parseDiffForAddedLines, findingRange, placeComment, formatLocation } = require('../scripts/diff-lines');
+
+const DIFF = `diff --git a/src/a.js b/src/a.js
+index 111..222 100644
+--- a/src/a.js
++++ b/src/a.js
+@@ -1,3 +1,4 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
++const c = 4;
+ module.exports = a;
+@@ -20,2 +21,2 @@ function f() {
+ return x;
+-}
++};
+diff --git a/old.js b/old.js
+deleted file mode 100644
+--- a/old.js
++++ /dev/null
+@@ -1,1 +0,0 @@
+-gone();
+`;
+
+test('parseDiffForValidLines maps both sides of every hunk', () => {
+  const lines = parseDiffForValidLines(DIFF);
+  const a = lines.get('src/a.js');
+
+  assert.deepEqual([...a.RIGHT.keys()], [1, 2, 3, 4, 21, 22]);
+  assert.deepEqual([...a.LEFT.keys()], [1, 2, 3, 20, 21]);
+  assert.equal(a.RIGHT.get(3).text, 'const c = 4;');
+  assert.notEqual(a.RIGHT.get(2).hunk, a.RIGHT.get(21).hunk);
+  // Deleted files are keyed by their old path
+  assert.deepEqual([...lines.get('old.js').LEFT.keys()], [1]);
+});
+
+test('parseDiffForAddedLines lists only added lines', () => {
+  assert.deepEqual([...parseDiffForAddedLines(DIFF).get('src/a.js')], [2, 3, 22]);
+});
+
+test('findingRange defaults to the right side and a single line', () => {
+  assert.deepEqual(findingRange({ line: 5 }), { side: 'RIGHT', startLine: 5, line: 5 });
+  assert.deepEqual(findingRange({ line: 5, start_line: 9, side: 'left' }), { side: 'LEFT', startLine: 5, line: 5 });
+  assert.deepEqual(findingRange({ line: '7', start_line: '3' }), { side: 'RIGHT', startLine: 3, line: 7 });
+});
+
+test('placeComment keeps ranges within one hunk and rejects lines outside the diff', () => {
+  const lines = parseDiffForValidLines(DIFF);
+
+  assert.deepEqual(placeComment({ path: 'src/a.js', start_line: 2, line: 3 }, lines), {
+    path: 'src/a.js', line: 3, side: 'RIGHT', start_line: 2, start_side: 'RIGHT',
+  });
+  // The start is in another hunk, so the comment narrows to its last line
+  assert.deepEqual(placeComment({ path: 'src/a.js', start_line: 3, line: 21 }, lines), { path: 'src/a.js', line: 21, side: 'RIGHT' });
+  assert.deepEqual(placeComment({ path: 'src/a.js', line: 2, side: 'LEFT' }, lines), { path: 'src/a.js', line: 2, side: 'LEFT' });
+  assert.equal(placeComment({ path: 'src/a.js', line: 10 }, lines), null);
+  assert.equal(placeComment({ path: 'other.js', line: 1 }, lines), null);
+});
+
+test('formatLocation shows ranges and removed lines', () => {
+  assert.equal(formatLocation({ path: 'a.ts', start_line: 10, line: 14 }), 'a.ts:10-14');
+  assert.equal(formatLocation({ path: 'a.ts', line: 7, side: 'LEFT' }), 'a.ts:7 (removed)');
+  assert.equal(formatLocation({ path: 'a.ts', line: 'top' }), 'a.ts:top');
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprint, buildFindingMarker, parseFindingMarker } = require('../scripts/finding-marker');
+
+const finding = { path: 'src/db.js', rule_id: 'security.sql-injection-prevention', title: 'Query built by concatenation' };
+
+test('fingerprints ignore case and punctuation in the title but not the path or rule', () => {
+  assert.equal(fingerprint(finding), fingerprint({ ...finding, title: 'query built by concatenation!' }));
+  assert.notEqual(fingerprint(finding), fingerprint({ ...finding, path: 'src/other.js' }));
+  assert.notEqual(fingerprint(finding), fingerprint({ ...finding, rule_id: 'naming' }));
+  assert.match(fingerprint(finding), /^[0-9a-f]{32}$/);
+});
+
+test('markers round-trip through a comment body', () => {
+  const body = `**Query built by concatenation**\n\nUse a parameterized query.\n\n${buildFindingMarker(finding, 'abc123')}`;
+  assert.deepEqual(parseFindingMarker(body), { fp: fingerprint(finding), rule: finding.rule_id, sha: 'abc123' });
+});
+
+test('markers leave out empty fields', () => {
+  const marker = buildFindingMarker({ path: 'a.js', title: 'x' });
+  assert.equal(marker.includes('rule='), false);
+  assert.equal(marker.includes('sha='), false);
+  assert.deepEqual(Object.keys(parseFindingMarker(marker)), ['fp']);
+});
+
+test('comments without a marker have no finding', () => {
+  assert.equal(parseFindingMarker('Fixed in the next commit'), null);
+});
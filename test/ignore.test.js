@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createIgnoreMatcher, createPathPattern } = require('../scripts/ignore');
+
+// Ignore files served from memory, keyed by repository-relative path
+const matcher = (patterns, files = {}) => createIgnoreMatcher({
+  patterns,
+  readIgnoreFile: relPath => (relPath in files ? files[relPath] : null),
+});
+
+test('patterns without a slash match at any depth', () => {
+  const m = matcher(['*.min.js']);
+  assert.equal(m.ignores('app.min.js'), true);
+  assert.equal(m.ignores('a/b/c.min.js'), true);
+  assert.equal(m.ignores('a/b/c.js'), false);
+});
+
+test('a leading slash anchors to the root and a trailing slash matches directories only', () => {
+  const m = matcher(['/build/', 'dist']);
+  assert.equal(m.ignores('build/out.js'), true);
+  assert.equal(m.ignores('src/build/out.js'), false);
+  assert.equal(m.ignores('src/dist'), true);
+});
+
+test('the last matching pattern wins and negation re-includes a file', () => {
+  const m = matcher(['generated/*', '!generated/keep.ts']);
+  assert.equal(m.ignores('generated/a.ts'), true);
+  assert.equal(m.ignores('generated/keep.ts'), false);
+});
+
+test('a file cannot be re-included when a parent directory is excluded', () => {
+  const m = matcher(['vendor/', '!vendor/lib/a.js']);
+  assert.equal(m.ignores('vendor/lib/a.js'), true);
+});
+
+test('double stars and brace sets expand', () => {
+  const m = matcher(['src/**/*.{gen,generated}.ts']);
+  assert.equal(m.ignores('src/a/b/api.gen.ts'), true);
+  assert.equal(m.ignores('src/api.generated.ts'), true);
+  assert.equal(m.ignores('src/api.ts'), false);
+});
+
+test('ignore files apply relative to their directory and take precedence over parents', () => {
+  const m = matcher(['*.pb.ts'], {
+    'packages/api/.standardsignore': 'generated/\n!keep.pb.ts\n',
+  });
+  assert.equal(m.ignores('packages/api/generated/client.ts'), true);
+  assert.equal(m.ignores('packages/web/generated/client.ts'), false);
+  assert.equal(m.ignores('packages/api/keep.pb.ts'), false);
+  assert.equal(m.ignores('packages/web/other.pb.ts'), true);
+});
+
+test('ignore files are read once per directory', () => {
+  const reads = [];
+  const m = createIgnoreMatcher({ readIgnoreFile: relPath => { reads.push(relPath); return null; } });
+  m.ignores('src/a.js');
+  m.ignores('src/b.js');
+  assert.deepEqual(reads, ['.standardsignore', 'src/.standardsignore']);
+});
+
+test('createPathPattern matches a file or any of its parent directories', () => {
+  const matches = createPathPattern('/frontend/');
+  assert.equal(matches('frontend/src/app.tsx'), true);
+  assert.equal(matches('backend/frontend.ts'), false);
+});
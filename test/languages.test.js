@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLanguageRegistry } = require('../scripts/languages');
+
+test('JSON has no comment syntax; unregistered files default to //', () => {
+  const registry = createLanguageRegistry();
+  assert.equal(registry.commentFor('package.json'), null);
+  assert.deepEqual(registry.commentFor('db/schema.sql'), ['--', '']);
+  assert.deepEqual(registry.commentFor('notes.txt'), ['//', '']);
+});
+
+test('team config languages claim extensions over built-in ones, and file names win over extensions', () => {
+  const registry = createLanguageRegistry({
+    overrides: {
+      jsonc: { extensions: ['.json'], comment: '//' },
+      javascript: { extensions: ['.js', '.ts'] },
+      make: { filenames: ['Makefile.js'], comment: '#' },
+    },
+  });
+  assert.equal(registry.languageFor('tsconfig.json').name, 'jsonc');
+  assert.equal(registry.languageFor('src/app.ts').name, 'javascript');
+  assert.equal(registry.languageFor('src/app.tsx').name, 'typescript');
+  assert.equal(registry.languageFor('build/Makefile.js').name, 'make');
+});
+
+test('comment syntax is normalized to [open, close]', () => {
+  const registry = createLanguageRegistry({ overrides: { css: { extensions: ['.css'], comment: ['/*', '*/'] } } });
+  assert.deepEqual(registry.commentFor('a.css'), ['/*', ' */']);
+});
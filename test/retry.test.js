@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelCaller, isRetryableError, isModelUnavailableError, withTimeout, backoffDelay } = require('../scripts/providers/retry');
+
+const failure = (name, message = name, status) => Object.assign(new Error(message), { name, status });
+
+// Provider that plays back `outcomes` per model: an Error is thrown, anything else is the response text
+const scriptedProvider = outcomes => {
+  const calls = [];
+  return {
+    calls,
+    async complete({ modelId }) {
+      calls.push(modelId);
+      const outcome = outcomes[modelId].shift();
+      if (outcome instanceof Error) throw outcome;
+      return { text: outcome };
+    },
+  };
+};
+
+const quiet = t => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+};
+
+test('transient errors are retryable; bad requests are not', () => {
+  assert.equal(isRetryableError(failure('ThrottlingException')), true);
+  assert.equal(isRetryableError(failure('Error', 'overloaded', 529)), true);
+  assert.equal(isRetryableError(failure('TypeError', 'fetch failed')), true);
+  assert.equal(isRetryableError(failure('Error', 'read ECONNRESET')), true);
+  assert.equal(isRetryableError(failure('ValidationException', 'bad input', 400)), false);
+});
+
+test('missing models and profiles count as unavailable', () => {
+  assert.equal(isModelUnavailableError(failure('ResourceNotFoundException')), true);
+  assert.equal(isModelUnavailableError(failure('ValidationException', 'The provided model identifier is invalid.')), true);
+  assert.equal(isModelUnavailableError(failure('ValidationException', 'messages: field required')), false);
+});
+
+test('backoff doubles up to the cap and jitters the upper half', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(1, 1000, 60000);
+    const capped = backoffDelay(10, 1000, 60000);
+    assert.ok(first >= 500 && first <= 1000, String(first));
+    assert.ok(capped >= 30000 && capped <= 60000, String(capped));
+  }
+});
+
+test('withTimeout rejects and aborts the signal when the call takes too long', async () => {
+  let signal;
+  const slow = s => {
+    signal = s;
+    return new Promise(resolve => setTimeout(resolve, 200));
+  };
+
+  await assert.rejects(withTimeout(slow, 10), { name: 'TimeoutError' });
+  assert.equal(signal.aborted, true);
+  assert.equal(await withTimeout(() => Promise.resolve('done'), 0), 'done');
+});
+
+test('transient errors are retried on the same model', async t => {
+  quiet(t);
+  const provider = scriptedProvider({ a: [failure('ThrottlingException'), 'ok'] });
+  const caller = createModelCaller({ provider, modelIds: ['a'], baseDelayMs: 1, maxDelayMs: 1, timeoutMs: 0 });
+
+  assert.deepEqual(await caller.complete({ prompt: 'x', modelId: 'ignored' }), { text: 'ok', modelId: 'a' });
+  assert.deepEqual(provider.calls, ['a', 'a']);
+});
+
+test('other errors are not retried', async t => {
+  quiet(t);
+  const provider = scriptedProvider({ a: [failure('ValidationException', 'bad input', 400)], b: ['ok'] });
+  const caller = createModelCaller({ provider, modelIds: ['a', 'b'], baseDelayMs: 1, timeoutMs: 0 });
+
+  await assert.rejects(caller.complete({}), /bad input/);
+  assert.deepEqual(provider.calls, ['a']);
+});
+
+test('an unavailable model falls back, and later calls start with the fallback', async t => {
+  quiet(t);
+  const provider = scriptedProvider({
+    a: [failure('ResourceNotFoundException', 'model not found')],
+    b: [failure('ThrottlingException'), failure('ThrottlingException')],
+    c: ['first', 'second'],
+  });
+  const caller = createModelCaller({ provider, modelIds: ['a', 'b', 'c'], maxRetries: 1, baseDelayMs: 1, maxDelayMs: 1, timeoutMs: 0 });
+
+  assert.equal((await caller.complete({})).modelId, 'c');
+  assert.deepEqual(await caller.complete({}), { text: 'second', modelId: 'c' });
+  assert.deepEqual(provider.calls, ['a', 'b', 'b', 'c', 'c']);
+});
+
+test('the last model\'s error is thrown when every model fails', async t => {
+  quiet(t);
+  const provider = scriptedProvider({ a: [failure('ResourceNotFoundException', 'gone')], b: [failure('ServiceUnavailableException', 'down')] });
+  const caller = createModelCaller({ provider, modelIds: ['a', 'b'], maxRetries: 0, timeoutMs: 0 });
+
+  await assert.rejects(caller.complete({}), /down/);
+});
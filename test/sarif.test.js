@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSarif } = require('../scripts/sarif');
+const { parseStandards } = require('../scripts/standards');
+const { fingerprint } = require('../scripts/finding-marker');
+
+const standards = parseStandards('## Security\n### SQL\n- **Parameterize**: never concatenate input\n');
+const RULE = 'security.sql.parameterize';
+
+test('every catalog rule gets a descriptor linking to its heading', () => {
+  const sarif = buildSarif({ status: 'APPROVED' }, standards, { standardsUrl: 'https://x/STANDARDS.md', modelId: 'm1' });
+  const run = sarif.runs[0];
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.deepEqual(run.tool.driver.rules.map(r => [r.id, r.helpUri]), [[RULE, 'https://x/STANDARDS.md#sql']]);
+  assert.deepEqual(run.results, []);
+  assert.deepEqual(run.properties, { status: 'APPROVED', model: 'm1' });
+});
+
+test('findings become results with levels, regions and fingerprints', () => {
+  const finding = { path: 'db.js', start_line: 3, line: 5, priority: 'must_fix', rule_id: RULE, title: 'Concatenated query', body: 'Use $1.' };
+  const [result] = buildSarif({ findings: [finding] }, standards).runs[0].results;
+
+  assert.equal(result.ruleId, RULE);
+  assert.equal(result.ruleIndex, 0);
+  assert.equal(result.level, 'error');
+  assert.equal(result.message.text, 'Concatenated query\n\nUse $1.');
+  assert.deepEqual(result.locations[0].physicalLocation, { artifactLocation: { uri: 'db.js', uriBaseId: '%SRCROOT%' }, region: { startLine: 3, endLine: 5 } });
+  assert.equal(result.partialFingerprints['prStandardsFinding/v1'], fingerprint(finding));
+});
+
+test('fingerprints survive line moves and title punctuation', () => {
+  const finding = { path: 'db.js', line: 5, rule_id: RULE, title: 'Concatenated query' };
+  const moved = { ...finding, line: 40, title: 'concatenated query.' };
+  const [a, b] = buildSarif({ findings: [finding], persisting: [moved] }, standards).runs[0].results;
+
+  assert.equal(a.partialFingerprints['prStandardsFinding/v1'], b.partialFingerprints['prStandardsFinding/v1']);
+});
+
+test('suggestions become fixes', () => {
+  const finding = { path: 'a.js', line: 2, rule_id: RULE, title: 'Fix it', suggestion: { replacement: 'safe();' } };
+  const [result] = buildSarif({ new_findings: [finding] }, standards).runs[0].results;
+
+  assert.deepEqual(result.fixes[0].artifactChanges[0].replacements, [
+    { deletedRegion: { startLine: 2, endLine: 2 }, insertedContent: { text: 'safe();\n' } },
+  ]);
+});
+
+test('unknown rules get a descriptor so the log stays valid', () => {
+  const data = { persisting: [{ path: 'a.js', line: 'top', rule_id: 'made.up', title: 'Naming', bump_message: 'Still there.' }] };
+  const run = buildSarif(data, standards).runs[0];
+  const [result] = run.results;
+
+  assert.deepEqual(run.tool.driver.rules.map(r => r.id), [RULE, 'made.up']);
+  assert.equal(result.ruleIndex, 1);
+  assert.equal(result.level, 'warning');
+  assert.equal(result.message.text, 'Naming\n\nStill there.');
+  assert.deepEqual(result.locations[0].physicalLocation.region, { startLine: 1 });
+});
+
+test('findings on removed lines point at the base version and say so', () => {
+  const data = { findings: [{ path: 'a.js', start_line: 7, line: 9, side: 'LEFT', rule_id: RULE, title: 'Removed check', body: 'Keep it.' }] };
+  const [result] = buildSarif(data, standards).runs[0].results;
+
+  assert.deepEqual(result.locations[0].physicalLocation.region, { startLine: 7 });
+  assert.equal(result.message.text, 'Removed check\n\nKeep it.\n\n(Removed code: line 7 of the base version.)');
+});
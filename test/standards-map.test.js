@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStandardsMap, createStandardsResolver } = require('../scripts/standards-map');
+
+const write = (dir, relPath, text) => {
+  fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, relPath), text);
+};
+
+test('parseStandardsMap skips comments and lines without documents', t => {
+  t.mock.method(console, 'warn', () => {});
+  const entries = parseStandardsMap('# pattern standards\n*  common.md\n/frontend/ common.md frontend.md # web\n/orphan/\n');
+
+  assert.deepEqual(entries.map(e => [e.pattern, e.documents]), [
+    ['*', ['common.md']],
+    ['/frontend/', ['common.md', 'frontend.md']],
+  ]);
+  assert.equal(entries[1].matches('frontend/app.js'), true);
+  assert.equal(entries[1].matches('backend/app.js'), false);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('the resolver picks the last matching line and loads shared documents once', t => {
+  t.mock.method(console, 'warn', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'standards-map-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  write(dir, 'STANDARDS.md', '## Naming\n- **camelCase**: for variables\n');
+  write(dir, 'std/frontend.md', '## Naming\n- **camelCase**: for components too\n## React\n- **Hooks**: at the top level\n');
+  write(dir, 'standards-map', '/frontend/  ./STANDARDS.md std/frontend.md\n/frontend/legacy/  STANDARDS.md\n');
+
+  const resolver = createStandardsResolver({
+    mapFile: path.join(dir, 'standards-map'),
+    rootDir: dir,
+    defaultDocument: { path: path.join(dir, 'STANDARDS.md'), url: 'https://x/STANDARDS.md' },
+    documentUrl: relPath => `https://x/${relPath}`,
+  });
+
+  assert.equal(resolver.isScoped(['frontend/app.js', 'backend/api.js']), true);
+  assert.equal(resolver.isScoped(['frontend/legacy/old.js', 'backend/api.js']), false);
+  assert.deepEqual(resolver.documentsFor('frontend/app.js').map(d => d.key), ['default', 'std/frontend.md']);
+  assert.deepEqual(resolver.documentsFor('frontend/legacy/old.js').map(d => d.key), ['default']);
+  assert.deepEqual(resolver.documentsFor('backend/api.js').map(d => d.key), ['default']);
+
+  // The frontend document's duplicate ID is renamed after its file
+  assert.deepEqual(resolver.rules.map(r => r.id), ['naming.camelcase', 'frontend.naming.camelcase', 'react.hooks']);
+  assert.equal(resolver.ruleAppliesTo('react.hooks', 'frontend/app.js'), true);
+  assert.equal(resolver.ruleAppliesTo('react.hooks', 'backend/api.js'), false);
+  assert.equal(resolver.ruleAppliesTo('frontend.naming.camelcase', 'frontend/app.js'), true);
+  assert.equal(resolver.byId.get('react.hooks').documentUrl, 'https://x/std/frontend.md');
+
+  assert.deepEqual(resolver.groupByDocument(['frontend/app.js', 'backend/api.js']).map(g => [g.document.key, g.paths]), [
+    ['default', ['frontend/app.js', 'backend/api.js']],
+    ['std/frontend.md', ['frontend/app.js']],
+  ]);
+});
+
+test('without a map every file gets the default document', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'standards-map-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  write(dir, 'STANDARDS.md', '## Naming\n- **camelCase**: for variables\n');
+
+  const resolver = createStandardsResolver({ defaultDocument: { path: path.join(dir, 'STANDARDS.md'), url: '' } });
+
+  assert.equal(resolver.isScoped(['any/file.py']), false);
+  assert.deepEqual(resolver.documentsFor('any/file.py').map(d => d.key), ['default']);
+});
+
+test('without a map, extra documents apply to the files they claim', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'standards-map-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  write(dir, 'STANDARDS.md', '## Naming\n- **camelCase**: for variables\n');
+  write(dir, 'python.md', '## Python\n- **Type hints**: on public functions\n');
+
+  const resolver = createStandardsResolver({
+    defaultDocument: { path: path.join(dir, 'STANDARDS.md'), url: '' },
+    extraDocuments: [{ key: 'python', label: 'Python', path: path.join(dir, 'python.md'), url: '', appliesTo: p => p.endsWith('.py') }],
+  });
+
+  assert.deepEqual(resolver.documentsFor('app.py').map(d => d.key), ['default', 'python']);
+  assert.deepEqual(resolver.documentsFor('app.js').map(d => d.key), ['default']);
+  assert.equal(resolver.isScoped(['app.py', 'app.js']), true);
+  assert.equal(resolver.isScoped(['app.js']), false);
+  assert.equal(resolver.defaultDocument.label, 'Default standards');
+});
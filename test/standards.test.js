@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStandards, formatRuleCatalog, formatRuleReference, flagUnknownRules, ruleScopeErrors, ruleUrl } = require('../scripts/standards');
+
+const MARKDOWN = `# Coding Standards
+
+## Overview
+- **Not a rule**: describes the document
+
+## 2. Security Standards
+### SQL Injection Prevention
+- **Use parameterized queries**: never concatenate input
+  - nested bullets are details
+- **Use parameterized queries**: a second rule with the same label
+
+\`\`\`
+- **Inside a fence**: not a rule
+\`\`\`
+
+## Naming {#names}
+- **camelCase** for variables {#camel}
+- Prefer descriptive names: avoid single letters
+`;
+
+test('parseStandards builds IDs from the section, subsection and bullet label', () => {
+  const { rules } = parseStandards(MARKDOWN);
+
+  assert.deepEqual(rules.map(r => r.id), [
+    'security.sql-injection-prevention.use-parameterized-queries',
+    'security.sql-injection-prevention.use-parameterized-queries-2',
+    'names.camel',
+    'names.prefer-descriptive-names',
+  ]);
+  assert.equal(rules[0].section, '2. Security Standards');
+  assert.equal(rules[0].subsection, 'SQL Injection Prevention');
+  assert.equal(rules[0].anchor, 'sql-injection-prevention');
+  assert.equal(rules[2].anchor, 'naming');
+  assert.equal(rules[2].text, 'camelCase for variables');
+});
+
+test('rule references link to the heading when the document URL is known', () => {
+  const standards = parseStandards(MARKDOWN);
+  const url = 'https://github.com/o/r/blob/main/STANDARDS.md';
+
+  assert.equal(formatRuleReference('names.camel', standards, url), `[\`names.camel\`](${url}#naming)`);
+  assert.equal(formatRuleReference('names.camel', standards, ''), '`names.camel`');
+  assert.equal(formatRuleReference('missing', standards, url), '`missing` (unknown rule)');
+  assert.equal(ruleUrl({ anchor: 'naming', documentUrl: 'https://x/frontend.md' }, url), 'https://x/frontend.md#naming');
+  assert.equal(ruleUrl({ anchor: 'naming', documentUrl: '' }, url), '');
+});
+
+test('flagUnknownRules marks findings without a known rule and keeps them', () => {
+  const standards = parseStandards(MARKDOWN);
+  const data = {
+    findings: [{ rule_id: 'names.camel' }, { rule_id: 'made.up' }],
+    persisting: [{}],
+  };
+  const flagged = flagUnknownRules(data, standards);
+
+  assert.equal(flagged.length, 2);
+  assert.equal(data.findings.length, 2);
+  assert.equal(data.findings[1].unknown_rule, true);
+  assert.equal('unknown_rule' in data.findings[0], false);
+});
+
+test('formatRuleCatalog groups rules by section and subsection', () => {
+  const { rules } = parseStandards(MARKDOWN);
+  assert.equal(formatRuleCatalog(rules.slice(1, 3)), [
+    '### 2. Security Standards › SQL Injection Prevention',
+    '',
+    '- `security.sql-injection-prevention.use-parameterized-queries-2` — Use parameterized queries: a second rule with the same label',
+    '',
+    '### Naming',
+    '',
+    '- `names.camel` — camelCase for variables',
+    '',
+  ].join('\n'));
+});
+
+test('ruleScopeErrors points at new findings citing rules outside their file\'s standards', () => {
+  const standards = {
+    ...parseStandards(MARKDOWN),
+    ruleAppliesTo: (ruleId, filePath) => !(ruleId === 'names.camel' && filePath.endsWith('.py')),
+  };
+  const data = {
+    findings: [{ rule_id: 'names.camel', path: 'a.js' }, { rule_id: 'names.camel', path: 'b.py' }, { rule_id: 'made.up', path: 'c.py' }],
+    persisting: [{ rule_id: 'names.camel', path: 'd.py' }],
+  };
+  const errors = ruleScopeErrors(data, standards);
+
+  assert.deepEqual(errors.map(e => e.path), [['findings', 1, 'rule_id']]);
+  assert.match(errors[0].message, /govern b\.py/);
+  assert.deepEqual(ruleScopeErrors(data, parseStandards(MARKDOWN)), []);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSuggestion, checkSuggestion, formatSuggestionBlock, formatSuggestionSnippet } = require('../scripts/suggestions');
+const { parseDiffForValidLines } = require('../scripts/diff-lines');
+
+const DIFF = `diff --git a/db.js b/db.js
+--- a/db.js
++++ b/db.js
+@@ -1,2 +1,3 @@
+ const db = require('./db');
++const sql = 'SELECT * FROM t WHERE id = ' + id;
++const rows = db.query(sql);
+`;
+const fileLines = parseDiffForValidLines(DIFF).get('db.js');
+
+test('parseSuggestion defaults the range to the finding line', () => {
+  assert.deepEqual(parseSuggestion({ line: 2, suggestion: { replacement: 'x\n' } }), { startLine: 2, endLine: 2, replacement: 'x' });
+  assert.deepEqual(parseSuggestion({ line: 3, suggestion: { start_line: 2, end_line: 3, replacement: 'y' } }), { startLine: 2, endLine: 3, replacement: 'y' });
+});
+
+test('parseSuggestion rejects missing and malformed suggestions', () => {
+  assert.equal(parseSuggestion({ line: 2 }), null);
+  assert.equal(parseSuggestion({ line: 2, suggestion: { replacement: 42 } }), null);
+  assert.equal(parseSuggestion({ line: 2, suggestion: { start_line: 3, end_line: 2, replacement: 'x' } }), null);
+});
+
+test('checkSuggestion accepts a change to lines of one hunk', () => {
+  const finding = { line: 3 };
+  const suggestion = { startLine: 2, endLine: 3, replacement: 'const rows = db.query(\'SELECT * FROM t WHERE id = $1\', [id]);' };
+  assert.equal(checkSuggestion(finding, suggestion, fileLines), null);
+});
+
+test('checkSuggestion explains why a suggestion does not apply', () => {
+  assert.equal(checkSuggestion({ line: 2, side: 'LEFT' }, { startLine: 2, endLine: 2, replacement: 'x' }, fileLines), 'finding is on removed lines');
+  assert.equal(checkSuggestion({ line: 1 }, { startLine: 2, endLine: 2, replacement: 'x' }, fileLines), 'line 1 is outside the suggested range');
+  assert.equal(checkSuggestion({ line: 4 }, { startLine: 4, endLine: 4, replacement: 'x' }, fileLines), 'line 4 is not in the diff');
+  assert.equal(checkSuggestion({ line: 2 }, { startLine: 2, endLine: 2, replacement: 'x' }, undefined), 'file is not in the diff');
+  const unchanged = { startLine: 3, endLine: 3, replacement: 'const rows = db.query(sql);' };
+  assert.equal(checkSuggestion({ line: 3 }, unchanged, fileLines), 'replacement does not change the code');
+});
+
+test('suggestion markdown uses a fence longer than any in the replacement', () => {
+  assert.equal(formatSuggestionBlock({ startLine: 1, endLine: 1, replacement: 'a()' }), '```suggestion\na()\n```');
+  const snippet = formatSuggestionSnippet({ startLine: 2, endLine: 4, replacement: 'x = "```"' }, 'js');
+  assert.equal(snippet, '**Suggested fix** (lines 2-4):\n\n````js\nx = "```"\n````');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SUMMARY_MARKER, isSummaryComment, parseRuns, buildSummaryComment } = require('../scripts/summary-comment');
+
+test('the first run has no history', () => {
+  const body = buildSummaryComment('## Run 1\n');
+
+  assert.equal(isSummaryComment(body), true);
+  assert.equal(body.includes('Previous runs'), false);
+  assert.deepEqual(parseRuns(body), ['## Run 1']);
+});
+
+test('later runs move earlier ones into the history, latest first', () => {
+  let body = buildSummaryComment('Run 1');
+  body = buildSummaryComment('Run 2', body);
+  body = buildSummaryComment('Run 3', body);
+
+  assert.ok(body.startsWith(`${SUMMARY_MARKER}\n`));
+  assert.ok(body.includes('<summary>Previous runs (2)</summary>'));
+  assert.deepEqual(parseRuns(body), ['Run 3', 'Run 2', 'Run 1']);
+});
+
+test('history is capped by count and by comment size', () => {
+  let body = '';
+  for (let i = 1; i <= 5; i++) body = buildSummaryComment(`Run ${i}`, body, { maxHistory: 2 });
+  assert.deepEqual(parseRuns(body), ['Run 5', 'Run 4', 'Run 3']);
+
+  const capped = buildSummaryComment('x'.repeat(50), body, { maxChars: 200 });
+  assert.ok(capped.length <= 200);
+  assert.equal(parseRuns(capped)[0], 'x'.repeat(50));
+});
+
+test('comments without the marker are not summary comments', () => {
+  assert.equal(isSummaryComment('Great PR!'), false);
+  assert.equal(isSummaryComment(undefined), false);
+  assert.deepEqual(parseRuns('Great PR!'), []);
+});
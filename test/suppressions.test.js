@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applySuppressions, parseMarker, ruleMatches, removeSuppressedFindings } = require('../scripts/suppressions');
+
+test('files without comment syntax are left as they are', () => {
+  const content = '{ "note": "standards-checker-ignore: not a comment" }';
+  assert.deepEqual(applySuppressions(content, 'a.json', undefined, null), {
+    content,
+    ignoredRanges: null,
+    suppressions: [],
+    rejected: [],
+  });
+});
+
+test('parseMarker reads the kind, rules and reason', () => {
+  assert.deepEqual(parseMarker('foo(); // standards-checker-ignore[no-console-log, naming]: CLI output'), {
+    kind: 'line',
+    rules: ['no-console-log', 'naming'],
+    reason: 'CLI output',
+  });
+  assert.deepEqual(parseMarker('/* standards-checker-ignore-start: vendored */'), { kind: 'start', rules: null, reason: 'vendored' });
+  assert.equal(parseMarker('const x = 1;'), null);
+});
+
+test('markers without a rule list hide their lines behind placeholders', () => {
+  const content = [
+    'a();',
+    '// standards-checker-ignore-next-line: generated shim',
+    'b();',
+    '# standards-checker-ignore-start: vendored',
+    'c();',
+    '# standards-checker-ignore-end',
+  ].join('\n');
+  const result = applySuppressions(content, 'x.js', undefined, ['#', '']);
+
+  assert.deepEqual(result.ignoredRanges, [{ start: 3, end: 3 }, { start: 4, end: 6 }]);
+  assert.equal(result.content.split('\n')[2], '# Line 3 ignored by standards checker');
+  assert.equal(result.content.split('\n')[0], 'a();');
+  assert.equal(result.rejected.length, 0);
+});
+
+test('rule-scoped markers leave the code visible', () => {
+  const result = applySuppressions('log(x); // standards-checker-ignore[no-console-log]: CLI output', 'cli.js');
+  assert.equal(result.ignoredRanges, null);
+  assert.equal(result.content, 'log(x); // standards-checker-ignore[no-console-log]: CLI output');
+  assert.deepEqual(result.suppressions[0].rules, ['no-console-log']);
+});
+
+test('markers without a reason and nested blocks are rejected', () => {
+  const content = [
+    'x(); // standards-checker-ignore',
+    '// standards-checker-ignore-start: outer',
+    '// standards-checker-ignore-start: inner',
+    '// standards-checker-ignore-end',
+  ].join('\n');
+  const { rejected, suppressions } = applySuppressions(content, 'a.js');
+
+  assert.deepEqual(rejected.map(r => [r.line, r.error]), [
+    [1, 'missing reason'],
+    [3, 'nested inside the block opened on line 2'],
+  ]);
+  assert.equal(suppressions.length, 1);
+});
+
+test('ruleMatches accepts full IDs and dot-separated prefixes or suffixes', () => {
+  assert.equal(ruleMatches('no-console-log', 'code-quality.logging.no-console-log'), true);
+  assert.equal(ruleMatches('code-quality', 'code-quality.logging.no-console-log'), true);
+  assert.equal(ruleMatches('console-log', 'code-quality.logging.no-console-log'), false);
+  assert.equal(ruleMatches('naming', undefined), false);
+});
+
+test('removeSuppressedFindings drops covered findings, never those on removed lines', () => {
+  const suppressions = [{ path: 'a.js', line: 1, start: 2, end: 4, rules: ['naming'], reason: 'legacy' }];
+  const data = {
+    findings: [
+      { path: 'a.js', line: 3, rule_id: 'style.naming' },
+      { path: 'a.js', line: 3, rule_id: 'security.sql' },
+      { path: 'a.js', line: 3, side: 'LEFT', rule_id: 'style.naming' },
+      { path: 'b.js', line: 3, rule_id: 'style.naming' },
+    ],
+  };
+  const removed = removeSuppressedFindings(data, suppressions);
+
+  assert.equal(removed.length, 1);
+  assert.equal(removed[0].suppressed_by.reason, 'legacy');
+  assert.equal(data.findings.length, 3);
+});